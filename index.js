@@ -3,13 +3,38 @@
 var rules = {
   'kind-name': require('./lib/rules/kind-name'),
   'display-name': require('./lib/rules/display-name'),
-  'no-module-exports-import': require('./lib/rules/no-module-exports-import')
+  'no-module-exports-import': require('./lib/rules/no-module-exports-import'),
+  'hoc-name': require('./lib/rules/hoc-name'),
+  'kind-prop-order': require('./lib/rules/kind-prop-order'),
+  'no-unknown-kind-property': require('./lib/rules/no-unknown-kind-property'),
+  'kind-render-required': require('./lib/rules/kind-render-required'),
+  'computed-handlers-shape': require('./lib/rules/computed-handlers-shape'),
+  'no-unused-computed': require('./lib/rules/no-unused-computed'),
+  'no-undeclared-kind-props': require('./lib/rules/no-undeclared-kind-props'),
+  'kind-styles-config': require('./lib/rules/kind-styles-config'),
+  'no-direct-classname-concat': require('./lib/rules/no-direct-classname-concat'),
+  'handle-chain-usage': require('./lib/rules/handle-chain-usage'),
+  'prefer-handle-over-inline-handlers': require('./lib/rules/prefer-handle-over-inline-handlers'),
+  'hoc-config-shape': require('./lib/rules/hoc-config-shape'),
+  'compose-decorator-order': require('./lib/rules/compose-decorator-order'),
+  'no-duplicate-decorators': require('./lib/rules/no-duplicate-decorators'),
+  'spotlight-id-unique': require('./lib/rules/spotlight-id-unique'),
+  'spotlight-restrict-values': require('./lib/rules/spotlight-restrict-values'),
+  'i18n-no-literal-strings': require('./lib/rules/i18n-no-literal-strings'),
+  'i18n-no-unsafe-formatting': require('./lib/rules/i18n-no-unsafe-formatting'),
+  'no-deprecated-enact-api': require('./lib/rules/no-deprecated-enact-api'),
+  'migrate-moonstone-to-sandstone': require('./lib/rules/migrate-moonstone-to-sandstone')
 };
 
+// Rules which are only enabled for a specific task, such as a migration, and are left out of the `all` config
+var taskRules = ['migrate-moonstone-to-sandstone'];
+
 var ruleNames = Object.keys(rules);
 var allRules = {};
 for (var i = 0; i < ruleNames.length; i++) {
-  allRules['enact/' + ruleNames[i]] = 2;
+  if (taskRules.indexOf(ruleNames[i]) < 0) {
+    allRules['enact/' + ruleNames[i]] = 2;
+  }
 }
 
 var exportedRules = {};
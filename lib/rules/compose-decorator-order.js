@@ -0,0 +1,101 @@
+/**
+ * Enforce the order of Enact decorators applied to a component
+ */
+
+'use strict';
+
+var decoratorUtil = require('../util/decorator');
+
+// Decorators which must be applied outside of the listed decorators, where `*` matches any other decorator
+var DEFAULT_ORDER = {
+  Pure: ['*'],
+  Slottable: ['Spottable', 'Skinnable'],
+  Toggleable: ['Spottable', 'Skinnable'],
+  Changeable: ['Spottable', 'Skinnable'],
+  MarqueeDecorator: ['Spottable', 'Skinnable'],
+  SpotlightContainerDecorator: ['Skinnable'],
+  Spottable: ['Skinnable']
+};
+
+// ------------------------------------------------------------------------------
+// Rule Definition
+// ------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'Enforce the order of Enact decorators applied to a component',
+      category: 'Possible Errors',
+      recommended: false
+    },
+
+    messages: {
+      wrongOrder: '\'{{outer}}\' must be applied outside of \'{{inner}}\''
+    },
+
+    schema: []
+  },
+
+  create: function(context) {
+
+    var settings = context.settings.enact || {};
+    var order = Object.assign({}, DEFAULT_ORDER, settings.decoratorOrder);
+
+    // The compose functions and named decorators imported by the module
+    var imports = decoratorUtil.createImports();
+
+    /**
+     * Checks if a decorator must be applied outside of another
+     * @param {String} outer The name of the decorator which must be outside.
+     * @param {String} inner The name of the other decorator.
+     * @returns {Boolean} True if the order is required, false if not.
+     */
+    function mustWrap(outer, inner) {
+      var constraints = order[outer] || [];
+      return outer !== inner && (constraints.indexOf(inner) >= 0 || constraints.indexOf('*') >= 0);
+    }
+
+    /**
+     * Reports decorators applied inside of a decorator they must wrap
+     * @param {Object[]} layers The decorator names and nodes, from outermost to innermost.
+     */
+    function checkOrder(layers) {
+      for (var i = 1; i < layers.length; i++) {
+        for (var j = 0; j < i; j++) {
+          if (mustWrap(layers[i].name, layers[j].name)) {
+            context.report({
+              node: layers[i].node,
+              messageId: 'wrongOrder',
+              data: {
+                outer: layers[i].name,
+                inner: layers[j].name
+              }
+            });
+            break;
+          }
+        }
+      }
+    }
+
+    // --------------------------------------------------------------------------
+    // Public
+    // --------------------------------------------------------------------------
+
+    return {
+      ImportDeclaration: function(node) {
+        decoratorUtil.addImport(imports, node);
+      },
+
+      CallExpression: function(node) {
+        // Only the outermost call of a decorator stack is checked
+        if (!decoratorUtil.isStackRoot(node)) {
+          return;
+        }
+        var layers = decoratorUtil.getLayers(context, imports, node);
+        if (layers.length > 1) {
+          checkOrder(layers);
+        }
+      }
+    };
+  }
+};
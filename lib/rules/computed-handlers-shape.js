@@ -0,0 +1,172 @@
+/**
+ * Validate the computed and handlers entries of an Enact kind component definition
+ */
+
+'use strict';
+
+var Components = require('../util/Components');
+var astUtil = require('../util/ast');
+
+// Handlers are called with (ev, props, context)
+var MAX_HANDLER_PARAMS = 3;
+
+// ------------------------------------------------------------------------------
+// Rule Definition
+// ------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'Validate the computed and handlers entries of an Enact component definition',
+      category: 'Possible Errors',
+      recommended: false
+    },
+
+    messages: {
+      computedNotFunction: 'Computed property \'{{name}}\' must be a function',
+      handlerNotFunction: 'Handler \'{{name}}\' must be a function or a handle() chain',
+      computedThis: 'Computed property \'{{name}}\' must not use `this`',
+      computedJSX: 'Computed property \'{{name}}\' must not return JSX',
+      handlerParams: 'Handler \'{{name}}\' must take the (ev, props, context) signature',
+      handlerReturnsFunction: 'Handler \'{{name}}\' must not return a function'
+    },
+
+    schema: [{
+      type: 'object',
+      properties: {
+        allowJSX: {
+          type: 'boolean'
+        }
+      },
+      additionalProperties: false
+    }]
+  },
+
+  create: Components.detect(function(context, components, utils) {
+
+    var sourceCode = context.getSourceCode();
+    var config = context.options[0] || {};
+    var allowJSX = config.allowJSX !== false;
+
+    /**
+     * Gets the name of a computed or handlers entry for reporting
+     * @param {ASTNode} property The Property node.
+     * @returns {String} The entry name.
+     */
+    function getEntryName(property) {
+      return property.computed ? sourceCode.getText(property.key) : (property.key.name || String(property.key.value));
+    }
+
+    /**
+     * Finds the first `this` used within a function, ignoring nested non-arrow functions and classes
+     * @param {ASTNode} fn The function node.
+     * @returns {ASTNode|null} The ThisExpression, or null if `this` is not used.
+     */
+    function findThis(fn) {
+      var found = null;
+      (function walk(node) {
+        if (found || !node || typeof node.type !== 'string') {
+          return;
+        }
+        if (node.type === 'ThisExpression') {
+          found = node;
+          return;
+        }
+        if (node !== fn && (node.type === 'FunctionExpression' || node.type === 'FunctionDeclaration' || /^Class/.test(node.type))) {
+          return;
+        }
+        sourceCode.visitorKeys[node.type].forEach(function(key) {
+          var child = node[key];
+          if (Array.isArray(child)) {
+            child.forEach(walk);
+          } else {
+            walk(child);
+          }
+        });
+      })(fn);
+      return found;
+    }
+
+    /**
+     * Checks if a returned expression is JSX
+     * @param {ASTNode} node The returned expression.
+     * @returns {Boolean} True if the expression is JSX, false if not.
+     */
+    function isJSX(node) {
+      return node.type === 'JSXFragment' || utils.isReturningJSX({type: 'ReturnStatement', argument: node});
+    }
+
+    /**
+     * Validates an entry of the computed object
+     * @param {ASTNode} node The entry value.
+     */
+    function checkComputed(node) {
+      var property = node.parent;
+      var data = {name: getEntryName(property)};
+
+      if (!astUtil.isFunction(node)) {
+        if (astUtil.isNotFunction(node)) {
+          context.report({node: node, messageId: 'computedNotFunction', data: data});
+        }
+        return;
+      }
+
+      var thisNode = findThis(node);
+      if (thisNode) {
+        context.report({node: thisNode, messageId: 'computedThis', data: data});
+      }
+
+      if (!allowJSX) {
+        var returnsJSX = astUtil.getReturnedNodes(sourceCode, node).some(isJSX);
+        if (returnsJSX) {
+          context.report({node: node, messageId: 'computedJSX', data: data});
+        }
+      }
+    }
+
+    /**
+     * Validates an entry of the handlers object
+     * @param {ASTNode} node The entry value.
+     */
+    function checkHandler(node) {
+      var property = node.parent;
+      var data = {name: getEntryName(property)};
+
+      if (!astUtil.isFunction(node)) {
+        if (astUtil.isNotFunction(node)) {
+          context.report({node: node, messageId: 'handlerNotFunction', data: data});
+        }
+        return;
+      }
+
+      var hasRest = node.params.some(function(param) {
+        return param.type === 'RestElement';
+      });
+      if (node.params.length > MAX_HANDLER_PARAMS || hasRest) {
+        context.report({node: node, messageId: 'handlerParams', data: data});
+      }
+
+      var returnsFunction = astUtil.getReturnedNodes(sourceCode, node).some(astUtil.isFunction);
+      if (returnsFunction) {
+        context.report({node: node, messageId: 'handlerReturnsFunction', data: data});
+      }
+    }
+
+    // --------------------------------------------------------------------------
+    // Public
+    // --------------------------------------------------------------------------
+
+    return {
+      Property: function(node) {
+        if (node.parent.type !== 'ObjectExpression') {
+          return;
+        }
+        if (utils.isComputedKindProp(node.value)) {
+          checkComputed(node.value);
+        } else if (utils.isHandlersKindProp(node.value)) {
+          checkHandler(node.value);
+        }
+      }
+    };
+  })
+};
@@ -0,0 +1,257 @@
+/**
+ * Validate the usage of the event handling utilities from @enact/core/handle
+ */
+
+'use strict';
+
+var Components = require('../util/Components');
+var astUtil = require('../util/ast');
+var kindUtil = require('../util/kind');
+
+var HANDLE_MODULE = '@enact/core/handle';
+
+// The number of configuration arguments accepted by each adapter as [min, max]
+var ARITIES = {
+  adaptEvent: [2, 2],
+  call: [1, 1],
+  callOnEvent: [1, 1],
+  forEventProp: [2, 2],
+  forKey: [1, 1],
+  forKeyCode: [1, 1],
+  forProp: [2, 2],
+  forward: [1, 1],
+  forwardCustom: [1, 2],
+  forwardWithPrevent: [1, 1],
+  not: [1, 1],
+  returnsTrue: [1, 1]
+};
+
+// Adapters which forward the event to a prop
+var FORWARDS = ['forward', 'forwardCustom', 'forwardWithPrevent'];
+
+// Adapters which only filter the event and take no action
+var FILTERS = ['forEventProp', 'forKey', 'forKeyCode', 'forProp', 'not'];
+
+// ------------------------------------------------------------------------------
+// Rule Definition
+// ------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'Validate the usage of the event handling utilities from @enact/core/handle',
+      category: 'Possible Errors',
+      recommended: false
+    },
+
+    messages: {
+      undeclaredForward: '\'{{name}}\' is forwarded but is missing in propTypes',
+      invalidArity: '\'{{name}}\' expects {{expected}} argument(s) but was given {{actual}}',
+      missingForward: 'Handler chain must end with a forward or an action',
+      unreachableStep: 'Unreachable step; the previous step always stops the handler chain'
+    },
+
+    schema: [{
+      type: 'object',
+      properties: {
+        requireForward: {
+          type: 'boolean'
+        }
+      },
+      additionalProperties: false
+    }]
+  },
+
+  create: Components.detect(function(context, components, utils) {
+
+    var sourceCode = context.getSourceCode();
+    var config = context.options[0] || {};
+    var requireForward = config.requireForward || false;
+
+    // Local names of the default and named imports from @enact/core/handle
+    var defaultImports = [];
+    var namedImports = Object.create(null);
+
+    /**
+     * Gets the name a callee is exported as from @enact/core/handle
+     * @param {ASTNode} callee The callee node.
+     * @returns {String|null} The exported name, `handle` for the default export, or null if not imported.
+     */
+    function getHandleName(callee) {
+      if (callee.type === 'Identifier') {
+        if (defaultImports.indexOf(callee.name) >= 0) {
+          return 'handle';
+        }
+        return namedImports[callee.name] || null;
+      }
+      if (
+        callee.type === 'MemberExpression' &&
+        !callee.computed &&
+        callee.object.type === 'Identifier' &&
+        defaultImports.indexOf(callee.object.name) >= 0
+      ) {
+        return callee.property.name;
+      }
+      return null;
+    }
+
+    /**
+     * Finds the kind() definition whose handlers contain a node
+     * @param {ASTNode} node The AST node.
+     * @returns {ASTNode|null} The kind() definition ObjectExpression, or null if not within handlers.
+     */
+    function findHandlersKind(node) {
+      var ancestors = sourceCode.getAncestors(node);
+      for (var i = ancestors.length - 1; i >= 0; i--) {
+        var ancestor = ancestors[i];
+        if (
+          ancestor.type === 'Property' &&
+          kindUtil.getKeyName(ancestor) === 'handlers' &&
+          ancestor.parent.type === 'ObjectExpression' &&
+          utils.isKindComponent(ancestor.parent)
+        ) {
+          return ancestor.parent;
+        }
+      }
+      return null;
+    }
+
+    /**
+     * Checks if a chain step always returns a falsy value, stopping the chain
+     * @param {ASTNode} node The step node.
+     * @returns {Boolean} True if the step always stops the chain, false if not.
+     */
+    function isAlwaysFalsy(node) {
+      if (!astUtil.isFunction(node) || node.async || node.generator) {
+        return false;
+      }
+      return astUtil.getReturnedNodes(sourceCode, node).every(function(returned) {
+        return (returned.type === 'Literal' && !returned.regex && !returned.value) ||
+          (returned.type === 'Identifier' && returned.name === 'undefined') ||
+          (returned.type === 'UnaryExpression' && returned.operator === 'void');
+      });
+    }
+
+    /**
+     * Reports forwarded props which are not declared in the propTypes of the kind
+     * @param {ASTNode} node The forward CallExpression.
+     */
+    function checkForward(node) {
+      var name = node.arguments[0];
+      if (!name || name.type !== 'Literal' || typeof name.value !== 'string') {
+        return;
+      }
+      var kind = findHandlersKind(node);
+      var propTypes = kind && kindUtil.getPropTypeNames(kind);
+      if (!propTypes || kind.properties.some(function(property) {
+        return property.type !== 'Property';
+      })) {
+        return;
+      }
+      if (propTypes.indexOf(name.value) < 0) {
+        context.report({
+          node: name,
+          messageId: 'undeclaredForward',
+          data: {
+            name: name.value
+          }
+        });
+      }
+    }
+
+    /**
+     * Reports adapters called with the wrong number of arguments
+     * @param {ASTNode} node The CallExpression.
+     * @param {String} name The exported name of the adapter.
+     */
+    function checkArity(node, name) {
+      var arity = ARITIES[name];
+      var actual = node.arguments.length;
+      if (node.arguments.some(function(arg) {
+        return arg.type === 'SpreadElement';
+      })) {
+        return;
+      }
+      // Adapters are curried so may also be called with the event arguments, except as a chain step
+      var isStep = node.parent.type === 'CallExpression' &&
+        node.parent.arguments.indexOf(node) >= 0 &&
+        getHandleName(node.parent.callee) === 'handle';
+      if (actual < arity[0] || (isStep && actual > arity[1])) {
+        context.report({
+          node: node,
+          messageId: 'invalidArity',
+          data: {
+            name: name,
+            expected: arity[0] === arity[1] ? arity[0] : arity[0] + '-' + arity[1],
+            actual: actual
+          }
+        });
+      }
+    }
+
+    /**
+     * Validates the steps of a handle() chain
+     * @param {ASTNode} node The handle CallExpression.
+     */
+    function checkChain(node) {
+      var steps = node.arguments;
+      for (var i = 0; i < steps.length - 1; i++) {
+        if (isAlwaysFalsy(steps[i])) {
+          context.report({
+            node: steps[i + 1],
+            messageId: 'unreachableStep'
+          });
+          break;
+        }
+      }
+
+      if (!requireForward) {
+        return;
+      }
+      var last = steps[steps.length - 1];
+      var lastName = last && last.type === 'CallExpression' ? getHandleName(last.callee) : null;
+      if (!last || FILTERS.indexOf(lastName) >= 0) {
+        context.report({
+          node: node,
+          messageId: 'missingForward'
+        });
+      }
+    }
+
+    // --------------------------------------------------------------------------
+    // Public
+    // --------------------------------------------------------------------------
+
+    return {
+      ImportDeclaration: function(node) {
+        if (node.source.value !== HANDLE_MODULE) {
+          return;
+        }
+        node.specifiers.forEach(function(specifier) {
+          if (specifier.type === 'ImportDefaultSpecifier') {
+            defaultImports.push(specifier.local.name);
+          } else if (specifier.type === 'ImportSpecifier') {
+            namedImports[specifier.local.name] = specifier.imported.name;
+          }
+        });
+      },
+
+      CallExpression: function(node) {
+        var name = getHandleName(node.callee);
+        if (!name) {
+          return;
+        }
+        if (name === 'handle') {
+          checkChain(node);
+          return;
+        }
+        if (ARITIES[name]) {
+          checkArity(node, name);
+        }
+        if (FORWARDS.indexOf(name) >= 0) {
+          checkForward(node);
+        }
+      }
+    };
+  })
+};
@@ -0,0 +1,327 @@
+/**
+ * Validate the default config of an Enact hoc() factory and the config passed to it
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var Components = require('../util/Components');
+var astUtil = require('../util/ast');
+var kindUtil = require('../util/kind');
+var pragmaUtil = require('../util/pragma');
+var variableUtil = require('../util/variable');
+
+var MODULE_EXTENSIONS = ['', '.js', '.jsx', path.sep + 'index.js'];
+
+// Exported hoc() default config keys found in modules, cached by path and modification time
+var moduleCache = {};
+
+/**
+ * Finds the initial value of a top-level variable of a module
+ * @param {ASTNode} program The Program node.
+ * @param {String} name The variable name.
+ * @returns {ASTNode|null} The init node, or null if not found.
+ */
+function findTopLevelInit(program, name) {
+  var init = null;
+  program.body.forEach(function(statement) {
+    var declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+    if (!declaration || declaration.type !== 'VariableDeclaration') {
+      return;
+    }
+    declaration.declarations.forEach(function(declarator) {
+      if (declarator.id.type === 'Identifier' && declarator.id.name === name) {
+        init = declarator.init;
+      }
+    });
+  });
+  return init;
+}
+
+/**
+ * Gets the keys of a hoc() default config
+ * @param {ASTNode} program The Program node.
+ * @param {ASTNode} node The hoc() CallExpression.
+ * @returns {String[]|null} The config keys, or null if they cannot be determined.
+ */
+function getDefaultConfigKeys(program, node) {
+  var config = node.arguments.length > 1 ? node.arguments[0] : null;
+  if (config && config.type === 'Identifier') {
+    config = findTopLevelInit(program, config.name);
+  }
+  if (!config || config.type !== 'ObjectExpression') {
+    return null;
+  }
+  var keys = config.properties.map(kindUtil.getKeyName);
+  return keys.indexOf(null) >= 0 ? null : keys;
+}
+
+/**
+ * Collects the hoc() factories declared at the top level of a module
+ * @param {ASTNode} program The Program node.
+ * @param {String} hoc The name of the hoc() factory.
+ * @returns {Object} The default config keys of the factories, by local name and by exported name.
+ */
+function collectHocs(program, hoc) {
+  var locals = Object.create(null);
+  var exported = Object.create(null);
+
+  /**
+   * Gets the default config keys of an expression if it is a hoc() call
+   * @param {ASTNode} node The expression node.
+   * @returns {String[]|null|undefined} The config keys, null if unknown, or undefined if not a hoc() call.
+   */
+  function getKeys(node) {
+    if (!node) {
+      return;
+    }
+    if (node.type === 'Identifier') {
+      return locals[node.name];
+    }
+    if (node.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === hoc) {
+      return getDefaultConfigKeys(program, node);
+    }
+  }
+
+  program.body.forEach(function(statement) {
+    var declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+    if (!declaration || declaration.type !== 'VariableDeclaration') {
+      return;
+    }
+    declaration.declarations.forEach(function(declarator) {
+      var keys = getKeys(declarator.init);
+      if (declarator.id.type === 'Identifier' && typeof keys !== 'undefined') {
+        locals[declarator.id.name] = keys;
+        if (declaration !== statement) {
+          exported[declarator.id.name] = keys;
+        }
+      }
+    });
+  });
+
+  program.body.forEach(function(statement) {
+    if (statement.type === 'ExportDefaultDeclaration') {
+      var keys = getKeys(statement.declaration);
+      if (typeof keys !== 'undefined') {
+        exported.default = keys;
+      }
+    } else if (statement.type === 'ExportNamedDeclaration' && !statement.source) {
+      statement.specifiers.forEach(function(specifier) {
+        if (specifier.local.name in locals) {
+          exported[specifier.exported.name] = locals[specifier.local.name];
+        }
+      });
+    }
+  });
+
+  return {locals: locals, exported: exported};
+}
+
+/**
+ * Resolves a relative import to a module on disk
+ * @param {String} filename The path of the importing file.
+ * @param {String} source The import source.
+ * @returns {String|null} The path of the module, or null if not found.
+ */
+function resolveModule(filename, source) {
+  var base = path.resolve(path.dirname(filename), source);
+  for (var i = 0; i < MODULE_EXTENSIONS.length; i++) {
+    var file = base + MODULE_EXTENSIONS[i];
+    try {
+      if (fs.statSync(file).isFile()) {
+        return file;
+      }
+    } catch (err) {
+      // Try the next extension
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads the hoc() factories exported by a module on disk
+ * @param {String} file The absolute path to the module.
+ * @param {String} hoc The name of the hoc() factory.
+ * @param {Object} languageOptions The language options of the linted file, including its parser.
+ * @returns {Object|null} The default config keys of the exported factories, or null if the module cannot be parsed.
+ */
+function readExportedHocs(file, hoc, languageOptions) {
+  var stats = fs.statSync(file);
+  var key = file + ':' + hoc;
+  var parser = languageOptions.parser;
+  var cached = moduleCache[key];
+  if (!cached || cached.mtime !== stats.mtimeMs || cached.parser !== parser) {
+    var exported = null;
+    try {
+      var code = fs.readFileSync(file, 'utf8');
+      // Modules are parsed the same way as the linted file
+      var options = Object.assign({}, languageOptions.parserOptions, {
+        ecmaVersion: languageOptions.ecmaVersion,
+        sourceType: languageOptions.sourceType,
+        filePath: file,
+        loc: true,
+        range: true,
+        tokens: true,
+        comment: true
+      });
+      var program = parser.parseForESLint ? parser.parseForESLint(code, options).ast : parser.parse(code, options);
+      exported = collectHocs(program, hoc).exported;
+    } catch (err) {
+      // Modules using syntax which cannot be parsed are ignored
+    }
+    cached = moduleCache[key] = {
+      mtime: stats.mtimeMs,
+      parser: parser,
+      exported: exported
+    };
+  }
+  return cached.exported;
+}
+
+// ------------------------------------------------------------------------------
+// Rule Definition
+// ------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'Validate the default config of an Enact hoc() factory and the config passed to it',
+      category: 'Possible Errors',
+      recommended: false
+    },
+
+    messages: {
+      configNotObject: 'The default config of hoc() must be an object',
+      invalidParams: 'The function passed to hoc() must accept (config, Wrapped) arguments',
+      unknownConfigKey: '\'{{name}}\' is not in the default config of {{decorator}}'
+    },
+
+    schema: []
+  },
+
+  create: Components.detect(function(context, components, utils) {
+
+    var sourceCode = context.getSourceCode();
+    var hoc = pragmaUtil.getHocFromContext(context);
+    var filename = context.filename || context.getFilename();
+
+    // Default config keys of the hoc() factories available in this module, by local name
+    var decorators = Object.create(null);
+
+    /**
+     * Checks if a callee refers to a module-level binding
+     * @param {ASTNode} node The Identifier node.
+     * @returns {Boolean} True if the binding is declared at the top level of the module, false if not.
+     */
+    function isTopLevelBinding(node) {
+      var scope = sourceCode.getScope ? sourceCode.getScope(node) : context.getScope();
+      while (scope) {
+        var variable = scope.set.get(node.name);
+        if (variable) {
+          return variable.scope.type === 'module' || variable.scope.type === 'global';
+        }
+        scope = scope.upper;
+      }
+      return false;
+    }
+
+    /**
+     * Validates the arguments of a hoc() declaration
+     * @param {ASTNode} node The hoc() CallExpression.
+     */
+    function checkDeclaration(node) {
+      var fn = node.arguments[node.arguments.length - 1];
+      var config = node.arguments.length > 1 ? node.arguments[0] : null;
+      var value = config && config.type === 'Identifier' ? variableUtil.findConstValue(sourceCode, context, config, config.name) : config;
+
+      if (value && value.type !== 'ObjectExpression' && (astUtil.isNotFunction(value) || astUtil.isFunction(value))) {
+        context.report({
+          node: config,
+          messageId: 'configNotObject'
+        });
+      }
+      if (astUtil.isFunction(fn) && (fn.params.length !== 2 || fn.params[1].type === 'RestElement')) {
+        context.report({
+          node: fn,
+          messageId: 'invalidParams'
+        });
+      }
+    }
+
+    /**
+     * Adds the hoc() factories imported from a relative module
+     * @param {ASTNode} node The ImportDeclaration.
+     */
+    function addImportedDecorators(node) {
+      var source = node.source.value;
+      var languageOptions = context.languageOptions;
+      if (
+        typeof source !== 'string' || source[0] !== '.' || !filename || filename[0] === '<' ||
+        !languageOptions || !languageOptions.parser
+      ) {
+        return;
+      }
+      var file = resolveModule(filename, source);
+      var exported = file && readExportedHocs(file, hoc, languageOptions);
+      if (!exported) {
+        return;
+      }
+      node.specifiers.forEach(function(specifier) {
+        var name = specifier.type === 'ImportDefaultSpecifier' ? 'default' : specifier.imported && specifier.imported.name;
+        if (name && name in exported) {
+          decorators[specifier.local.name] = exported[name];
+        }
+      });
+    }
+
+    /**
+     * Reports config keys passed to a hoc() factory which are not in its default config
+     * @param {ASTNode} node The CallExpression of the factory.
+     */
+    function checkUsage(node) {
+      var keys = decorators[node.callee.name];
+      var config = node.arguments[0];
+      if (!keys || !config || config.type !== 'ObjectExpression' || !isTopLevelBinding(node.callee)) {
+        return;
+      }
+      config.properties.forEach(function(property) {
+        var name = kindUtil.getKeyName(property);
+        if (name !== null && keys.indexOf(name) < 0) {
+          context.report({
+            node: property.key,
+            messageId: 'unknownConfigKey',
+            data: {
+              name: name,
+              decorator: node.callee.name
+            }
+          });
+        }
+      });
+    }
+
+    // --------------------------------------------------------------------------
+    // Public
+    // --------------------------------------------------------------------------
+
+    return {
+      Program: function(node) {
+        var locals = collectHocs(node, hoc).locals;
+        Object.keys(locals).forEach(function(name) {
+          decorators[name] = locals[name];
+        });
+      },
+
+      ImportDeclaration: addImportedDecorators,
+
+      CallExpression: function(node) {
+        var fn = node.arguments[node.arguments.length - 1];
+        if (fn && utils.isHocComponent(fn)) {
+          checkDeclaration(node);
+        } else if (node.callee.type === 'Identifier' && node.callee.name in decorators) {
+          checkUsage(node);
+        }
+      }
+    };
+  })
+};
@@ -0,0 +1,248 @@
+/**
+ * Prevent missing names on components returned from an Enact hoc() factory
+ */
+
+'use strict';
+
+var Components = require('../util/Components');
+var astUtil = require('../util/ast');
+var pragmaUtil = require('../util/pragma');
+var variableUtil = require('../util/variable');
+
+// ------------------------------------------------------------------------------
+// Rule Definition
+// ------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'Prevent missing names on components returned from an Enact hoc() factory',
+      category: 'Best Practices',
+      recommended: false
+    },
+
+    messages: {
+      missingKindName: 'Component returned from {{decorator}} is missing a name property',
+      missingDisplayName: 'Component returned from {{decorator}} is missing a displayName',
+      missingDecoratorName: 'Component name should include the decorator name \'{{decorator}}\''
+    },
+
+    schema: [{
+      type: 'object',
+      properties: {
+        requireDecoratorName: {
+          type: 'boolean'
+        }
+      },
+      additionalProperties: false
+    }]
+  },
+
+  create: Components.detect(function(context, components, utils) {
+
+    var sourceCode = context.getSourceCode();
+    var kind = pragmaUtil.getKindFromContext(context);
+    var config = context.options[0] || {};
+    var requireDecoratorName = config.requireDecoratorName || false;
+
+    /**
+     * Checks if the node is a call to the kind() factory
+     * @param {ASTNode} node The AST node being checked.
+     * @returns {Boolean} True if the node is a kind() call, false if not.
+     */
+    function isKindCall(node) {
+      return node.type === 'CallExpression' &&
+        new RegExp('^' + kind + '$').test(sourceCode.getText(node.callee));
+    }
+
+    /**
+     * Checks if a property key is named with the given name
+     * @param {ASTNode} key The property key node.
+     * @param {String} name The expected name.
+     * @returns {Boolean} True if the key matches, false if not.
+     */
+    function isKeyNamed(key, name) {
+      return Boolean(key) && (
+        (key.type === 'Identifier' && key.name === name) ||
+        (key.type === 'Literal' && key.value === name)
+      );
+    }
+
+    /**
+     * Gets the name the hoc() factory is bound to
+     * @param {ASTNode} call The hoc() CallExpression.
+     * @returns {String|null} The decorator name, or null if it cannot be determined.
+     */
+    function getDecoratorName(call) {
+      var parent = call.parent;
+      if (parent.type === 'VariableDeclarator' && parent.id.type === 'Identifier') {
+        return parent.id.name;
+      }
+      if (parent.type === 'AssignmentExpression' && parent.left.type === 'Identifier') {
+        return parent.left.name;
+      }
+      return null;
+    }
+
+    /**
+     * Gets the static text of a name value, ignoring any embedded expressions
+     * @param {ASTNode} node The name value node.
+     * @returns {String|null} The static text, or null if none can be determined.
+     */
+    function getStaticText(node) {
+      if (node.type === 'Literal' && typeof node.value === 'string') {
+        return node.value;
+      }
+      if (node.type === 'TemplateLiteral') {
+        return node.quasis.map(function(quasi) {
+          return quasi.value.cooked;
+        }).join('');
+      }
+      if (node.type === 'BinaryExpression' && node.operator === '+') {
+        var left = getStaticText(node.left);
+        var right = getStaticText(node.right);
+        return left === null && right === null ? null : (left || '') + (right || '');
+      }
+      return null;
+    }
+
+    /**
+     * Resolves an identifier returned from a hoc body to the component it is declared as
+     * @param {ASTNode} node The Identifier node.
+     * @returns {ASTNode|null} The kind() call or class node, or null if not a local component.
+     */
+    function resolveComponent(node) {
+      var variable = variableUtil.getVariable(sourceCode, context, node, node.name);
+      if (!variable || variable.defs.length !== 1) {
+        return null;
+      }
+      var def = variable.defs[0];
+      if (def.type === 'ClassName') {
+        return def.node;
+      }
+      if (def.type === 'Variable' && def.node.init) {
+        return def.node.init;
+      }
+      return null;
+    }
+
+    /**
+     * Finds a displayName assigned to a named class within the hoc body
+     * @param {ASTNode} fn The hoc body function.
+     * @param {String} className The name of the class.
+     * @returns {ASTNode|null} The assigned value, or null if not found.
+     */
+    function findAssignedDisplayName(fn, className) {
+      if (fn.body.type !== 'BlockStatement') {
+        return null;
+      }
+      var value = null;
+      fn.body.body.forEach(function(statement) {
+        var expression = statement.type === 'ExpressionStatement' && statement.expression;
+        if (
+          expression &&
+          expression.type === 'AssignmentExpression' &&
+          expression.left.type === 'MemberExpression' &&
+          expression.left.object.type === 'Identifier' &&
+          expression.left.object.name === className &&
+          isKeyNamed(expression.left.property, 'displayName')
+        ) {
+          value = expression.right;
+        }
+      });
+      return value;
+    }
+
+    /**
+     * Gets the node declaring the name of a returned component
+     * @param {ASTNode} component The kind() call or class node.
+     * @param {ASTNode} fn The hoc body function.
+     * @returns {ASTNode|null} The name value node, or null if the component is unnamed.
+     */
+    function getNameValue(component, fn) {
+      if (isKindCall(component)) {
+        var definition = component.arguments[0];
+        var nameProperty = definition && definition.type === 'ObjectExpression' && definition.properties.find(function(prop) {
+          return prop.type === 'Property' && !prop.computed && isKeyNamed(prop.key, 'name');
+        });
+        return nameProperty ? nameProperty.value : null;
+      }
+
+      var staticProperty = component.body.body.find(function(member) {
+        return member.static && !member.computed && isKeyNamed(member.key, 'displayName');
+      });
+      if (staticProperty) {
+        return staticProperty.value && staticProperty.type !== 'MethodDefinition' ? staticProperty.value : staticProperty;
+      }
+      return component.id ? findAssignedDisplayName(fn, component.id.name) : null;
+    }
+
+    /**
+     * Checks the components returned from a hoc() body function
+     * @param {ASTNode} fn The hoc body function.
+     */
+    function checkHoc(fn) {
+      var call = fn.parent;
+      if (call.arguments[call.arguments.length - 1] !== fn) {
+        return;
+      }
+      var decorator = getDecoratorName(call);
+
+      astUtil.getReturnedNodes(sourceCode, fn).forEach(function(node) {
+        var component = node.type === 'Identifier' ? resolveComponent(node) : node;
+        if (!component) {
+          return;
+        }
+        var isKind = isKindCall(component);
+        var isClass = component.type === 'ClassExpression' || component.type === 'ClassDeclaration';
+        if (!isKind && !isClass) {
+          return;
+        }
+
+        var nameValue = getNameValue(component, fn);
+        if (!nameValue) {
+          context.report({
+            node: isKind && component.arguments[0] ? component.arguments[0] : component,
+            messageId: isKind ? 'missingKindName' : 'missingDisplayName',
+            data: {
+              decorator: decorator || 'hoc'
+            }
+          });
+          return;
+        }
+
+        if (!requireDecoratorName || !decorator) {
+          return;
+        }
+        var text = getStaticText(nameValue);
+        if (text !== null && text.indexOf(decorator) < 0) {
+          context.report({
+            node: nameValue,
+            messageId: 'missingDecoratorName',
+            data: {
+              decorator: decorator
+            }
+          });
+        }
+      });
+    }
+
+    // --------------------------------------------------------------------------
+    // Public
+    // --------------------------------------------------------------------------
+
+    return {
+      'FunctionExpression:exit': function(node) {
+        if (utils.isHocComponent(node)) {
+          checkHoc(node);
+        }
+      },
+
+      'ArrowFunctionExpression:exit': function(node) {
+        if (utils.isHocComponent(node)) {
+          checkHoc(node);
+        }
+      }
+    };
+  })
+};
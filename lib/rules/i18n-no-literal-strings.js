@@ -0,0 +1,187 @@
+/**
+ * Require user-visible strings in JSX to be translated with $L()
+ */
+
+'use strict';
+
+var path = require('path');
+var {minimatch} = require('minimatch');
+var i18nUtil = require('../util/i18n');
+
+var LETTER_REGEX = /\p{L}/u;
+var MAX_TEXT_LENGTH = 30;
+
+// ------------------------------------------------------------------------------
+// Rule Definition
+// ------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'Require user-visible strings in JSX to be translated with $L()',
+      category: 'Best Practices',
+      recommended: false
+    },
+
+    messages: {
+      literalString: 'User-visible string \'{{text}}\' should be translated with {{fn}}()',
+      nonLiteralArgument: '{{fn}}() should be called with a string literal so the string can be extracted',
+      concatenatedArgument: 'Strings passed to {{fn}}() should not be concatenated; use a single string with format parameters'
+    },
+
+    schema: [{
+      type: 'object',
+      properties: {
+        functions: {
+          type: 'array',
+          items: {
+            type: 'string'
+          },
+          uniqueItems: true
+        },
+        attributes: {
+          type: 'array',
+          items: {
+            type: 'string'
+          },
+          uniqueItems: true
+        },
+        allowAttributes: {
+          type: 'array',
+          items: {
+            type: 'string'
+          },
+          uniqueItems: true
+        },
+        allowPatterns: {
+          type: 'array',
+          items: {
+            type: 'string'
+          },
+          uniqueItems: true
+        },
+        allowFiles: {
+          type: 'array',
+          items: {
+            type: 'string'
+          },
+          uniqueItems: true
+        }
+      },
+      additionalProperties: false
+    }]
+  },
+
+  create: function(context) {
+
+    var config = context.options[0] || {};
+    var functions = (config.functions || i18nUtil.DEFAULT_FUNCTIONS).slice();
+    var allowAttributes = config.allowAttributes || [];
+    var attributes = i18nUtil.VISIBLE_ATTRIBUTES.concat(config.attributes || []).filter(function(name) {
+      return allowAttributes.indexOf(name) < 0;
+    });
+    var allowPatterns = (config.allowPatterns || []).map(function(pattern) {
+      return new RegExp(pattern, 'u');
+    });
+    var filename = context.filename || context.getFilename();
+    var cwd = context.cwd || (context.getCwd ? context.getCwd() : process.cwd());
+    var relativeFilename = path.relative(cwd, filename).split(path.sep).join('/');
+
+    var isAllowedFile = (config.allowFiles || []).some(function(glob) {
+      return minimatch(relativeFilename, glob, {dot: true}) || minimatch(filename, glob, {dot: true});
+    });
+    if (isAllowedFile) {
+      return {};
+    }
+
+    /**
+     * Checks if a string is user-visible text which should be translated
+     * @param {String} text The string.
+     * @returns {Boolean} True if the string should be translated, false if not.
+     */
+    function isTranslatable(text) {
+      var trimmed = text.trim();
+      return LETTER_REGEX.test(trimmed) && !allowPatterns.some(function(pattern) {
+        return pattern.test(trimmed);
+      });
+    }
+
+    /**
+     * Gets the text of a string node for a report
+     * @param {ASTNode} node The string node.
+     * @returns {String} The trimmed and shortened text.
+     */
+    function getText(node) {
+      var text;
+      if (node.type === 'TemplateLiteral') {
+        text = node.quasis.map(function(quasi) {
+          return quasi.value.cooked;
+        }).join('${}');
+      } else {
+        text = node.value;
+      }
+      text = text.trim().replace(/\s+/g, ' ');
+      return text.length > MAX_TEXT_LENGTH ? text.slice(0, MAX_TEXT_LENGTH) + '...' : text;
+    }
+
+    /**
+     * Reports an untranslated string
+     * @param {ASTNode} node The JSXText, Literal or TemplateLiteral node.
+     */
+    function checkString(node) {
+      if (!isTranslatable(i18nUtil.getStringText(node))) {
+        return;
+      }
+      context.report({
+        node: node,
+        messageId: 'literalString',
+        data: {
+          text: getText(node),
+          fn: functions[0]
+        }
+      });
+    }
+
+    /**
+     * Validates the argument of a translation function
+     * @param {ASTNode} node The CallExpression.
+     */
+    function checkTranslation(node) {
+      var arg = node.arguments[0];
+      if (!arg || i18nUtil.isStaticString(arg)) {
+        return;
+      }
+      // Strings may be translated by key as $L({key, value})
+      if (arg.type === 'ObjectExpression' && arg.properties.every(function(property) {
+        return property.type === 'Property' && i18nUtil.isStaticString(property.value);
+      })) {
+        return;
+      }
+      var isConcatenated = (arg.type === 'BinaryExpression' && arg.operator === '+') ||
+        (arg.type === 'TemplateLiteral');
+      context.report({
+        node: arg,
+        messageId: isConcatenated ? 'concatenatedArgument' : 'nonLiteralArgument',
+        data: {
+          fn: node.callee.name
+        }
+      });
+    }
+
+    // --------------------------------------------------------------------------
+    // Public
+    // --------------------------------------------------------------------------
+
+    return Object.assign(i18nUtil.createJSXStringVisitors(attributes, checkString), {
+      ImportDeclaration: function(node) {
+        i18nUtil.addTranslationImport(functions, node);
+      },
+
+      CallExpression: function(node) {
+        if (i18nUtil.isTranslationCall(functions, node)) {
+          checkTranslation(node);
+        }
+      }
+    });
+  }
+};
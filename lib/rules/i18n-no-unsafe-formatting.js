@@ -0,0 +1,299 @@
+/**
+ * Prevent building and formatting user-visible strings in ways which are not locale-safe
+ */
+
+'use strict';
+
+var i18nUtil = require('../util/i18n');
+
+var ISTRING_MODULES = ['ilib/lib/IString', 'ilib/lib/IString.js'];
+var LOCALE_METHODS = ['toLocaleString', 'toLocaleDateString', 'toLocaleTimeString'];
+var TIME_MARKER_REGEX = /(?:^|[^\p{L}])(AM|PM|A\.M\.|P\.M\.)(?![\p{L}])/u;
+var CURRENCY_REGEX = /\p{Sc}/u;
+
+// ------------------------------------------------------------------------------
+// Rule Definition
+// ------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'Prevent building and formatting user-visible strings in ways which are not locale-safe',
+      category: 'Best Practices',
+      recommended: false
+    },
+
+    hasSuggestions: true,
+
+    messages: {
+      concatenation: 'Translated strings should not be concatenated; use a format string with new IString().format()',
+      useFormat: 'Replace with new IString().format()',
+      localeMethod: '\'{{name}}()\' does not use the app locale; format with ilib DateFmt or NumFmt instead',
+      toFixed: '\'toFixed()\' does not use locale-specific separators; format with ilib NumFmt instead',
+      timeMarker: 'Hard-coded \'{{marker}}\'; format times with ilib DateFmt instead',
+      currencySymbol: 'Hard-coded currency symbol \'{{symbol}}\'; format amounts with ilib NumFmt instead'
+    },
+
+    schema: [{
+      type: 'object',
+      properties: {
+        functions: {
+          type: 'array',
+          items: {
+            type: 'string'
+          },
+          uniqueItems: true
+        }
+      },
+      additionalProperties: false
+    }]
+  },
+
+  create: function(context) {
+
+    var sourceCode = context.getSourceCode();
+    var config = context.options[0] || {};
+    var functions = (config.functions || i18nUtil.DEFAULT_FUNCTIONS).slice();
+    var istringName = null;
+    var lastImport = null;
+
+    /**
+     * Gets the parts of a string built by concatenation or a template literal
+     * @param {ASTNode} node The BinaryExpression or TemplateLiteral.
+     * @returns {Array} The parts, as either static strings or expression nodes.
+     */
+    function getParts(node) {
+      if (node.type === 'TemplateLiteral') {
+        var parts = [];
+        node.quasis.forEach(function(quasi, index) {
+          parts.push(quasi.value.cooked);
+          if (index < node.expressions.length) {
+            parts.push(node.expressions[index]);
+          }
+        });
+        return parts;
+      }
+      if (node.type === 'BinaryExpression' && node.operator === '+') {
+        return getParts(node.left).concat(getParts(node.right));
+      }
+      if (i18nUtil.isStaticString(node)) {
+        return [i18nUtil.getStringText(node)];
+      }
+      return [node];
+    }
+
+    /**
+     * Quotes a string as a single-quoted string literal
+     * @param {String} text The string.
+     * @returns {String} The string literal source.
+     */
+    function quote(text) {
+      return '\'' + text.replace(/\\/g, '\\\\').replace(/'/g, '\\\'').replace(/\n/g, '\\n') + '\'';
+    }
+
+    /**
+     * Creates the source of a format string and its parameters replacing a concatenation
+     * @param {Array} parts The parts of the concatenation.
+     * @returns {String|null} The replacement source, or null if the parts cannot be converted.
+     */
+    function getFormatText(parts) {
+      var text = '';
+      var fn = null;
+      var params = [];
+      var sources = Object.create(null);
+
+      for (var i = 0; i < parts.length; i++) {
+        var part = parts[i];
+        var value = typeof part === 'string' ? part : null;
+        if (value === null && i18nUtil.isTranslationCall(functions, part)) {
+          if (!part.arguments[0] || !i18nUtil.isStaticString(part.arguments[0])) {
+            return null;
+          }
+          fn = fn || part.callee.name;
+          value = i18nUtil.getStringText(part.arguments[0]);
+        }
+        if (value !== null) {
+          // Braces in the text would be read as placeholders
+          if (/[{}]/.test(value)) {
+            return null;
+          }
+          text += value;
+          continue;
+        }
+
+        var key;
+        if (part.type === 'Identifier') {
+          key = part.name;
+        } else if (part.type === 'MemberExpression' && !part.computed && part.property.type === 'Identifier') {
+          key = part.property.name;
+        } else {
+          return null;
+        }
+        var source = sourceCode.getText(part);
+        var unique = key;
+        for (var n = 2; sources[unique] && sources[unique] !== source; n++) {
+          unique = key + n;
+        }
+        if (!sources[unique]) {
+          sources[unique] = source;
+          params.push(unique === source ? unique : unique + ': ' + source);
+        }
+        text += '{' + unique + '}';
+      }
+
+      var translated = fn + '(' + quote(text) + ')';
+      if (!params.length) {
+        return translated;
+      }
+      return 'new ' + (istringName || 'IString') + '(' + translated + ').format({' + params.join(', ') + '})';
+    }
+
+    /**
+     * Creates a fixer which replaces a concatenation with a format string
+     * @param {ASTNode} node The concatenation node.
+     * @param {String} replacement The replacement source.
+     * @returns {Function} The fixer function.
+     */
+    function getFormatFixer(node, replacement) {
+      return function(fixer) {
+        var fixes = [fixer.replaceText(node, replacement)];
+        if (!istringName && replacement.indexOf('new IString(') === 0) {
+          var declaration = 'import IString from \'ilib/lib/IString\';';
+          if (lastImport) {
+            fixes.push(fixer.insertTextAfter(lastImport, '\n' + declaration));
+          } else {
+            fixes.push(fixer.insertTextBeforeRange([0, 0], declaration + '\n'));
+          }
+        }
+        return fixes;
+      };
+    }
+
+    /**
+     * Reports strings built by concatenating translated strings
+     * @param {ASTNode} node The BinaryExpression or TemplateLiteral.
+     */
+    function checkConcatenation(node) {
+      var parts = getParts(node).filter(function(part) {
+        return part !== '';
+      });
+      var isTranslated = parts.some(function(part) {
+        return typeof part !== 'string' && i18nUtil.isTranslationCall(functions, part);
+      });
+      if (!isTranslated || parts.length < 2) {
+        return;
+      }
+      // Joining strings which are all translated would replace their keys with a new untranslated key
+      var hasValues = parts.some(function(part) {
+        return typeof part !== 'string' && !i18nUtil.isTranslationCall(functions, part);
+      });
+      var replacement = hasValues ? getFormatText(parts) : null;
+      context.report({
+        node: node,
+        messageId: 'concatenation',
+        suggest: replacement ? [{
+          messageId: 'useFormat',
+          fix: getFormatFixer(node, replacement)
+        }] : []
+      });
+    }
+
+    /**
+     * Reports hard-coded time markers and currency symbols displayed to the user
+     * @param {ASTNode} node The JSXText, Literal or TemplateLiteral node.
+     */
+    function checkDisplayedString(node) {
+      var text = i18nUtil.getStringText(node);
+      var marker = TIME_MARKER_REGEX.exec(text);
+      var currency = CURRENCY_REGEX.exec(text);
+      if (marker) {
+        context.report({
+          node: node,
+          messageId: 'timeMarker',
+          data: {
+            marker: marker[1]
+          }
+        });
+      }
+      if (currency) {
+        context.report({
+          node: node,
+          messageId: 'currencySymbol',
+          data: {
+            symbol: currency[0]
+          }
+        });
+      }
+    }
+
+    /**
+     * Checks if the result of a call is used to build a displayed string
+     * @param {ASTNode} node The CallExpression.
+     * @returns {Boolean} True if the result is rendered or concatenated, false if not.
+     */
+    function isDisplayed(node) {
+      var parent = node.parent;
+      return parent.type === 'JSXExpressionContainer' ||
+        parent.type === 'TemplateLiteral' ||
+        (parent.type === 'BinaryExpression' && parent.operator === '+');
+    }
+
+    // --------------------------------------------------------------------------
+    // Public
+    // --------------------------------------------------------------------------
+
+    return Object.assign(i18nUtil.createJSXStringVisitors(i18nUtil.VISIBLE_ATTRIBUTES, checkDisplayedString), {
+      ImportDeclaration: function(node) {
+        lastImport = node;
+        i18nUtil.addTranslationImport(functions, node);
+        if (ISTRING_MODULES.indexOf(node.source.value) < 0) {
+          return;
+        }
+        node.specifiers.forEach(function(specifier) {
+          if (specifier.type === 'ImportDefaultSpecifier') {
+            istringName = specifier.local.name;
+          }
+        });
+      },
+
+      BinaryExpression: function(node) {
+        // Only the outermost concatenation is checked
+        if (node.operator === '+' && !(node.parent.type === 'BinaryExpression' && node.parent.operator === '+')) {
+          checkConcatenation(node);
+        }
+      },
+
+      TemplateLiteral: function(node) {
+        var parent = node.parent;
+        if (
+          parent.type !== 'TaggedTemplateExpression' &&
+          !(parent.type === 'BinaryExpression' && parent.operator === '+')
+        ) {
+          checkConcatenation(node);
+        }
+      },
+
+      CallExpression: function(node) {
+        var callee = node.callee;
+        if (callee.type !== 'MemberExpression' || callee.computed || callee.property.type !== 'Identifier') {
+          return;
+        }
+        var name = callee.property.name;
+        if (LOCALE_METHODS.indexOf(name) >= 0 && isDisplayed(node)) {
+          context.report({
+            node: callee.property,
+            messageId: 'localeMethod',
+            data: {
+              name: name
+            }
+          });
+        } else if (name === 'toFixed' && isDisplayed(node)) {
+          context.report({
+            node: callee.property,
+            messageId: 'toFixed'
+          });
+        }
+      }
+    });
+  }
+};
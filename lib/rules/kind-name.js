@@ -8,7 +8,12 @@
 
 'use strict';
 
+var path = require('path');
 var Components = require('../util/Components');
+var variableUtil = require('../util/variable');
+
+// Does not check for reserved keywords or Unicode characters
+var JS_IDENTIFIER_REGEX = /^[_$a-zA-Z][_$a-zA-Z0-9]*$/;
 
 // ------------------------------------------------------------------------------
 // Rule Definition
@@ -22,11 +27,34 @@ module.exports = {
       recommended: true
     },
 
+    fixable: 'code',
+
+    messages: {
+      missingName: 'Component definition is missing a name property',
+      mismatchedName: 'Component name \'{{name}}\' does not match \'{{expected}}\'',
+      emptyName: 'Component name must not be an empty string',
+      nonStringName: 'Component name must be a string',
+      dynamicName: 'Component name must be a static string literal'
+    },
+
     schema: [{
       type: 'object',
       properties: {
         ignoreTranspilerName: {
           type: 'boolean'
+        },
+        match: {
+          enum: ['variable', 'filename', 'either']
+        },
+        ignoreSuffixes: {
+          type: 'array',
+          items: {
+            type: 'string'
+          },
+          uniqueItems: true
+        },
+        allowConstIdentifiers: {
+          type: 'boolean'
         }
       },
       additionalProperties: false
@@ -38,8 +66,10 @@ module.exports = {
     var sourceCode = context.getSourceCode();
     var config = context.options[0] || {};
     var ignoreTranspilerName = config.ignoreTranspilerName || true;
+    var match = config.match;
+    var ignoreSuffixes = config.ignoreSuffixes || ['Base'];
 
-    var MISSING_MESSAGE = 'Component definition is missing a name property';
+    var allowConstIdentifiers = config.allowConstIdentifiers || false;
 
     /**
      * Checks if we are declaring a display name
@@ -79,17 +109,236 @@ module.exports = {
       });
     }
 
+    /**
+     * Gets the component name derived from the filename of the current module
+     * @returns {String|null} The file basename, or the directory name for index files.
+     */
+    function getFileBindingName() {
+      var filename = context.filename || context.getFilename();
+      var parsed = path.parse(filename);
+      var name = parsed.name === 'index' ? path.basename(parsed.dir) : parsed.name;
+      return JS_IDENTIFIER_REGEX.test(name) ? name : null;
+    }
+
+    /**
+     * Gets the node a kind() definition is bound to, skipping any decorators applied directly to it
+     * @param {ASTNode} node The kind() definition ObjectExpression.
+     * @returns {Object} The outermost wrapping call and its parent node.
+     */
+    function getBinding(node) {
+      var call = node.parent;
+      // Unwrap any decorators applied directly to the kind, e.g. `Pure(kind({...}))`
+      while (call.parent && call.parent.type === 'CallExpression' && call.parent.arguments.indexOf(call) >= 0) {
+        call = call.parent;
+      }
+      return {call: call, parent: call.parent};
+    }
+
+    /**
+     * Gets the name of the variable or assignment target a kind() definition is bound to
+     * @param {ASTNode} node The kind() definition ObjectExpression.
+     * @returns {String|null} The variable name, or null if it cannot be determined.
+     */
+    function getVariableBindingName(node) {
+      var binding = getBinding(node);
+      var parent = binding.parent;
+      if (!parent) {
+        return null;
+      }
+      switch (parent.type) {
+        case 'VariableDeclarator':
+          return parent.init === binding.call && parent.id.type === 'Identifier' ? parent.id.name : null;
+        case 'AssignmentExpression':
+          if (parent.left.type === 'Identifier') {
+            return parent.left.name;
+          }
+          if (
+            parent.left.type === 'MemberExpression' &&
+            !parent.left.computed &&
+            parent.left.property.name !== 'exports'
+          ) {
+            return parent.left.property.name;
+          }
+          return null;
+        default:
+          return null;
+      }
+    }
+
+    /**
+     * Gets the name of the binding a kind() definition is assigned to
+     * @param {ASTNode} node The kind() definition ObjectExpression.
+     * @returns {String|null} The binding name, or null if it cannot be determined.
+     */
+    function getBindingName(node) {
+      var parent = getBinding(node).parent;
+      if (parent && parent.type === 'ExportDefaultDeclaration') {
+        return getFileBindingName();
+      }
+      return getVariableBindingName(node);
+    }
+
+    /**
+     * Finds the string literal a const variable is initialized with
+     * @param {ASTNode} node The Identifier node referencing the variable.
+     * @returns {ASTNode|null} The initializing Literal or TemplateLiteral, or null if not a const string.
+     */
+    function resolveConstString(node) {
+      var init = variableUtil.findConstValue(sourceCode, context, node, node.name);
+      if (
+        init &&
+        ((init.type === 'Literal' && typeof init.value === 'string') ||
+        (init.type === 'TemplateLiteral' && init.expressions.length === 0))
+      ) {
+        return init;
+      }
+      return null;
+    }
+
+    /**
+     * Gets the static string value of a name property
+     * @param {ASTNode} node The property value node.
+     * @returns {String|null} The string value, or null if it is not statically known.
+     */
+    function getStaticName(node) {
+      if (node.type === 'Identifier' && allowConstIdentifiers) {
+        node = resolveConstString(node) || node;
+      }
+      if (node.type === 'Literal' && typeof node.value === 'string') {
+        return node.value;
+      }
+      if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+        return node.quasis[0].value.cooked;
+      }
+      return null;
+    }
+
+    /**
+     * Finds the name property of a kind() definition
+     * @param {ASTNode} node The kind() definition ObjectExpression.
+     * @returns {ASTNode|undefined} The name Property node, if found.
+     */
+    function findNameProperty(node) {
+      return node.properties.find(function(prop) {
+        return prop.type === 'Property' && !prop.computed && isNameDeclaration(prop.key);
+      });
+    }
+
+    /**
+     * Reports a kind() name which is not a non-empty static string
+     * @param {ASTNode} node The kind() definition ObjectExpression.
+     */
+    function checkNameValue(node) {
+      var property = findNameProperty(node);
+      if (!property) {
+        return;
+      }
+      var value = property.value;
+      var name = getStaticName(value);
+      var messageId = null;
+      if (name === '') {
+        messageId = 'emptyName';
+      } else if (name === null) {
+        var isNonString = value.type === 'Literal' ||
+          (value.type === 'Identifier' && value.name === 'undefined') ||
+          ['ObjectExpression', 'ArrayExpression', 'ArrowFunctionExpression', 'FunctionExpression'].indexOf(value.type) >= 0;
+        messageId = isNonString ? 'nonStringName' : 'dynamicName';
+      }
+      if (messageId) {
+        context.report({
+          node: value,
+          messageId: messageId
+        });
+      }
+    }
+
+    /**
+     * Checks if a component name matches a binding name, allowing for any configured suffixes
+     * @param {String} name The component name.
+     * @param {String} bindingName The variable or file name.
+     * @returns {Boolean} True if the names match, false if not.
+     */
+    function matchesBindingName(name, bindingName) {
+      if (name === bindingName) {
+        return true;
+      }
+      return ignoreSuffixes.some(function(suffix) {
+        return bindingName.length > suffix.length &&
+          bindingName.slice(-suffix.length) === suffix &&
+          bindingName.slice(0, -suffix.length) === name;
+      });
+    }
+
+    /**
+     * Reports a kind() name which does not match its variable or file name
+     * @param {ASTNode} node The kind() definition ObjectExpression.
+     */
+    function checkNameMatches(node) {
+      var property = findNameProperty(node);
+      var name = property && getStaticName(property.value);
+      if (!name) {
+        return;
+      }
+
+      var expected = [];
+      if (match === 'variable' || match === 'either') {
+        expected.push(getVariableBindingName(node));
+      }
+      if (match === 'filename' || match === 'either') {
+        expected.push(getFileBindingName());
+      }
+      expected = expected.filter(function(bindingName, index) {
+        return bindingName && expected.indexOf(bindingName) === index;
+      });
+
+      if (expected.length === 0 || expected.some(matchesBindingName.bind(null, name))) {
+        return;
+      }
+      context.report({
+        node: property.value,
+        messageId: 'mismatchedName',
+        data: {
+          name: name,
+          expected: expected.join('\' or \'')
+        }
+      });
+    }
+
+    /**
+     * Creates a fixer which inserts a name property as the first property of a kind() definition
+     * @param {ASTNode} node The kind() definition ObjectExpression.
+     * @param {String} name The name to insert.
+     * @returns {Function} The fixer function.
+     */
+    function getNameFixer(node, name) {
+      var declaration = 'name: \'' + name + '\'';
+      return function(fixer) {
+        if (node.properties.length === 0) {
+          return fixer.replaceText(node, '{' + declaration + '}');
+        }
+        var first = node.properties[0];
+        var openBrace = sourceCode.getFirstToken(node);
+        if (openBrace.loc.end.line === first.loc.start.line) {
+          return fixer.insertTextBefore(first, declaration + ', ');
+        }
+        var indent = sourceCode.lines[first.loc.start.line - 1].slice(0, first.loc.start.column);
+        return fixer.insertTextBefore(first, declaration + ',\n' + indent);
+      };
+    }
+
     /**
      * Reports missing display name for a given component
      * @param {Object} component The component to process
      */
     function reportMissingName(component) {
+      var name = component.node.type === 'ObjectExpression' && getBindingName(component.node);
       context.report({
         node: component.node,
-        message: MISSING_MESSAGE,
+        messageId: 'missingName',
         data: {
           component: component.name
-        }
+        },
+        fix: name ? getNameFixer(component.node, name) : null
       });
     }
 
@@ -210,6 +459,12 @@ module.exports = {
       },
 
       ObjectExpression: function(node) {
+        if (utils.isKindComponent(node)) {
+          checkNameValue(node);
+          if (match) {
+            checkNameMatches(node);
+          }
+        }
         if (ignoreTranspilerName || !hasTranspilerName(node)) {
           // Search for the displayName declaration
           node.properties.forEach(function(property) {
@@ -0,0 +1,151 @@
+/**
+ * Enforce a consistent order of the properties in an Enact kind component definition
+ */
+
+'use strict';
+
+var Components = require('../util/Components');
+var kindUtil = require('../util/kind');
+
+var getKeyName = kindUtil.getKeyName;
+
+// ------------------------------------------------------------------------------
+// Rule Definition
+// ------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'Enforce a consistent order of the properties in an Enact component definition',
+      category: 'Stylistic Issues',
+      recommended: false
+    },
+
+    fixable: 'code',
+
+    messages: {
+      outOfOrder: 'Property \'{{name}}\' should be placed before \'{{before}}\''
+    },
+
+    schema: [{
+      type: 'object',
+      properties: {
+        order: {
+          type: 'array',
+          items: {
+            type: 'string'
+          },
+          uniqueItems: true
+        }
+      },
+      additionalProperties: false
+    }]
+  },
+
+  create: Components.detect(function(context, components, utils) {
+
+    var sourceCode = context.getSourceCode();
+    var config = context.options[0] || {};
+    var order = config.order || kindUtil.KIND_PROPERTIES;
+
+    /**
+     * Gets the range of a property including the comments on the lines preceding it
+     * @param {ASTNode} property The Property node.
+     * @returns {Number[]|null} The range, or null if a comment cannot be moved with the property.
+     */
+    function getPropertyRange(property) {
+      var previous = sourceCode.getTokenBefore(property);
+      var next = sourceCode.getTokenAfter(property);
+      var start = property.range[0];
+
+      var leading = sourceCode.getCommentsBefore(property);
+      for (var i = 0; i < leading.length; i++) {
+        // A comment on the same line as the previous token belongs to the previous property
+        if (leading[i].loc.start.line === previous.loc.end.line && previous.value !== '{') {
+          return null;
+        }
+        start = Math.min(start, leading[i].range[0]);
+      }
+
+      var trailing = sourceCode.getCommentsAfter(property)
+        .concat(next.value === ',' ? sourceCode.getCommentsAfter(next) : []);
+      var hasTrailingComment = trailing.some(function(comment) {
+        return comment.loc.start.line === property.loc.end.line;
+      });
+      return hasTrailingComment ? null : [start, property.range[1]];
+    }
+
+    /**
+     * Creates a fixer which sorts the ordered properties of a kind() definition
+     * @param {ASTNode[]} properties The properties found in the order list, in source order.
+     * @returns {Function|null} The fixer function, or null if the properties cannot be safely sorted.
+     */
+    function getSortFixer(properties) {
+      var ranges = properties.map(getPropertyRange);
+      if (ranges.some(function(range) { return !range; })) {
+        return null;
+      }
+      var sorted = properties.map(function(property, index) {
+        return {name: getKeyName(property), text: sourceCode.text.slice(ranges[index][0], ranges[index][1])};
+      }).sort(function(a, b) {
+        return order.indexOf(a.name) - order.indexOf(b.name);
+      });
+
+      return function(fixer) {
+        return ranges.map(function(range, index) {
+          return fixer.replaceTextRange(range, sorted[index].text);
+        });
+      };
+    }
+
+    /**
+     * Reports properties of a kind() definition which are out of order
+     * @param {ASTNode} node The kind() definition ObjectExpression.
+     */
+    function checkOrder(node) {
+      var properties = node.properties.filter(function(property) {
+        return order.indexOf(getKeyName(property)) >= 0;
+      });
+      var hasSpread = node.properties.some(function(property) {
+        return property.type !== 'Property';
+      });
+      var fix;
+
+      properties.forEach(function(property, index) {
+        var name = getKeyName(property);
+        var before = properties.slice(0, index).find(function(previous) {
+          return order.indexOf(getKeyName(previous)) > order.indexOf(name);
+        });
+        if (!before) {
+          return;
+        }
+        if (fix === undefined) {
+          // Reordering around a spread would change which values take precedence
+          fix = hasSpread ? null : getSortFixer(properties);
+        }
+        context.report({
+          node: property,
+          messageId: 'outOfOrder',
+          data: {
+            name: name,
+            before: getKeyName(before)
+          },
+          fix: fix
+        });
+      });
+    }
+
+    // --------------------------------------------------------------------------
+    // Public
+    // --------------------------------------------------------------------------
+
+    return {
+      ObjectExpression: function(node) {
+        if (!utils.isKindComponent(node)) {
+          return;
+        }
+        checkOrder(node);
+      }
+    };
+  })
+};
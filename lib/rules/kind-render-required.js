@@ -0,0 +1,143 @@
+/**
+ * Require a render function returning JSX in an Enact kind component definition
+ */
+
+'use strict';
+
+var Components = require('../util/Components');
+var astUtil = require('../util/ast');
+var kindUtil = require('../util/kind');
+
+// Returned value classifications
+var RENDERABLE = 2;
+var UNKNOWN = 1;
+var INVALID = 0;
+
+// ------------------------------------------------------------------------------
+// Rule Definition
+// ------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'Require a render function returning JSX in an Enact component definition',
+      category: 'Possible Errors',
+      recommended: false
+    },
+
+    messages: {
+      missingRender: 'Component definition is missing a render function',
+      renderNotFunction: 'The render property must be a function',
+      renderNotReturningJSX: 'The render function must return JSX, null or a createElement call'
+    },
+
+    schema: []
+  },
+
+  create: Components.detect(function(context, components, utils) {
+
+    var sourceCode = context.getSourceCode();
+
+    /**
+     * Classifies a returned value as renderable, unknown or invalid
+     * @param {ASTNode} node The returned expression.
+     * @returns {Number} The classification of the value.
+     */
+    function classify(node) {
+      switch (node.type) {
+        case 'JSXElement':
+        case 'JSXFragment':
+          return RENDERABLE;
+        case 'Literal':
+          return node.value === null && !node.regex ? RENDERABLE : INVALID;
+        case 'Identifier':
+          return node.name === 'undefined' ? INVALID : UNKNOWN;
+        case 'ConditionalExpression':
+          return Math.max(classify(node.consequent), classify(node.alternate));
+        case 'LogicalExpression':
+          return Math.max(classify(node.left), classify(node.right));
+        case 'SequenceExpression':
+          return classify(node.expressions[node.expressions.length - 1]);
+        case 'CallExpression':
+          return utils.isReturningJSX({type: 'ReturnStatement', argument: node}) ? RENDERABLE : UNKNOWN;
+        case 'ObjectExpression':
+        case 'ArrayExpression':
+        case 'FunctionExpression':
+        case 'ArrowFunctionExpression':
+        case 'ClassExpression':
+        case 'TemplateLiteral':
+        case 'BinaryExpression':
+        case 'UnaryExpression':
+        case 'UpdateExpression':
+          return INVALID;
+        default:
+          return UNKNOWN;
+      }
+    }
+
+    /**
+     * Checks if a render function returns something which may be rendered
+     * @param {ASTNode} fn The render function.
+     * @returns {Boolean} True if any returned value may be rendered, false if not.
+     */
+    function isReturningRenderable(fn) {
+      return astUtil.getReturnedNodes(sourceCode, fn).some(function(node) {
+        return classify(node) !== INVALID;
+      });
+    }
+
+    /**
+     * Reports a kind() definition with a missing or invalid render function
+     * @param {ASTNode} node The kind() definition ObjectExpression.
+     */
+    function checkRender(node) {
+      var hasSpread = false;
+      var render = null;
+      node.properties.forEach(function(property) {
+        if (property.type !== 'Property') {
+          hasSpread = true;
+        } else if (kindUtil.getKeyName(property) === 'render') {
+          render = property;
+        }
+      });
+
+      if (!render) {
+        // The render function may be provided by the spread object
+        if (!hasSpread) {
+          context.report({
+            node: node,
+            messageId: 'missingRender'
+          });
+        }
+        return;
+      }
+
+      if (astUtil.isFunction(render.value)) {
+        if (!isReturningRenderable(render.value)) {
+          context.report({
+            node: render.value,
+            messageId: 'renderNotReturningJSX'
+          });
+        }
+      } else if (astUtil.isNotFunction(render.value)) {
+        context.report({
+          node: render.value,
+          messageId: 'renderNotFunction'
+        });
+      }
+    }
+
+    // --------------------------------------------------------------------------
+    // Public
+    // --------------------------------------------------------------------------
+
+    return {
+      ObjectExpression: function(node) {
+        if (!utils.isKindComponent(node)) {
+          return;
+        }
+        checkRender(node);
+      }
+    };
+  })
+};
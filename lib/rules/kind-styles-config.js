@@ -0,0 +1,309 @@
+/**
+ * Validate the styles property of an Enact kind component definition
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var Components = require('../util/Components');
+var kindUtil = require('../util/kind');
+var variableUtil = require('../util/variable');
+
+var CSS_MODULE_REGEX = /\.module\.(less|css)$/;
+var CLASS_NAMES_REGEX = /^-?[_a-zA-Z][\w-]*( -?[_a-zA-Z][\w-]*)*$/;
+var CLASS_SELECTOR_REGEX = /\.(-?[_a-zA-Z][\w-]*)/g;
+
+// Class names found in stylesheets, cached by path and modification time
+var stylesheetCache = {};
+
+/**
+ * Collects the class names defined by a stylesheet, resolving nested `&` selectors
+ * @param {String} source The stylesheet source.
+ * @returns {Object|null} The set of class names, or null if they cannot be determined.
+ */
+function parseClassNames(source) {
+  var classNames = Object.create(null);
+  var text = source
+    .replace(/\/\*[\s\S]*?\*\//g, '')
+    .replace(/(^|[^:])\/\/.*$/gm, '$1')
+    .replace(/url\([^)]*\)/g, '')
+    .replace(/(["'])(?:\\.|(?!\1)[^\\])*\1/g, '""');
+
+  // Selectors using variable interpolation cannot be resolved
+  if (text.indexOf('@{') >= 0) {
+    return null;
+  }
+
+  var stack = [['']];
+  var buffer = '';
+  for (var i = 0; i < text.length; i++) {
+    var char = text[i];
+    if (char === '{') {
+      var parents = stack[stack.length - 1];
+      var selector = buffer.trim();
+      var resolved = parents;
+      if (selector && selector[0] !== '@') {
+        resolved = [];
+        selector.split(',').forEach(function(part) {
+          part = part.trim();
+          parents.forEach(function(parent) {
+            resolved.push(part.indexOf('&') >= 0 ? part.replace(/&/g, parent) : (parent + ' ' + part).trim());
+          });
+        });
+        resolved.forEach(function(full) {
+          var match;
+          CLASS_SELECTOR_REGEX.lastIndex = 0;
+          while ((match = CLASS_SELECTOR_REGEX.exec(full))) {
+            classNames[match[1]] = true;
+          }
+        });
+      }
+      stack.push(resolved);
+      buffer = '';
+    } else if (char === '}') {
+      if (stack.length > 1) {
+        stack.pop();
+      }
+      buffer = '';
+    } else if (char === ';') {
+      buffer = '';
+    } else {
+      buffer += char;
+    }
+  }
+  return classNames;
+}
+
+/**
+ * Reads the class names defined by a stylesheet on disk
+ * @param {String} file The absolute path to the stylesheet.
+ * @returns {Object|null} The set of class names, or null if the stylesheet cannot be read.
+ */
+function readClassNames(file) {
+  var stats;
+  try {
+    stats = fs.statSync(file);
+  } catch (err) {
+    return null;
+  }
+  var cached = stylesheetCache[file];
+  if (!cached || cached.mtime !== stats.mtimeMs) {
+    cached = stylesheetCache[file] = {
+      mtime: stats.mtimeMs,
+      classNames: parseClassNames(fs.readFileSync(file, 'utf8'))
+    };
+  }
+  return cached.classNames;
+}
+
+// ------------------------------------------------------------------------------
+// Rule Definition
+// ------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'Validate the styles property of an Enact component definition',
+      category: 'Possible Errors',
+      recommended: false
+    },
+
+    messages: {
+      stylesNotObject: 'The styles property must be an object',
+      missingCss: 'The styles property is missing a css property',
+      cssNotModule: 'The styles css must be imported from a .module.less or .module.css file',
+      invalidClassName: 'The styles className must be a string of space-separated class names',
+      invalidPublicClassNames: 'The styles publicClassNames must be true or an array of class name strings',
+      unknownClassName: 'Class name \'{{name}}\' is not defined in \'{{file}}\''
+    },
+
+    schema: [{
+      type: 'object',
+      properties: {
+        checkClassNames: {
+          type: 'boolean'
+        }
+      },
+      additionalProperties: false
+    }]
+  },
+
+  create: Components.detect(function(context, components, utils) {
+
+    var sourceCode = context.getSourceCode();
+    var config = context.options[0] || {};
+    var checkClassNames = config.checkClassNames || false;
+
+    /**
+     * Finds the import declaration a css identifier is imported by
+     * @param {ASTNode} node The Identifier node.
+     * @returns {ASTNode|null} The ImportDeclaration, or null if not imported.
+     */
+    function findImport(node) {
+      var variable = variableUtil.getVariable(sourceCode, context, node, node.name);
+      var def = variable && variable.defs[0];
+      return def && def.type === 'ImportBinding' ? def.parent : null;
+    }
+
+    /**
+     * Reports class names which are not defined in the imported stylesheet
+     * @param {ASTNode} importNode The ImportDeclaration of the stylesheet.
+     * @param {Object[]} entries The class names to check and their nodes.
+     */
+    function checkDefinedClassNames(importNode, entries) {
+      var source = importNode.source.value;
+      if (source[0] !== '.') {
+        return;
+      }
+      var filename = context.filename || context.getFilename();
+      var classNames = readClassNames(path.resolve(path.dirname(filename), source));
+      if (!classNames) {
+        return;
+      }
+      entries.forEach(function(entry) {
+        if (!classNames[entry.name]) {
+          context.report({
+            node: entry.node,
+            messageId: 'unknownClassName',
+            data: {
+              name: entry.name,
+              file: source
+            }
+          });
+        }
+      });
+    }
+
+    /**
+     * Validates the className of the styles property
+     * @param {ASTNode} node The className value node.
+     * @returns {Object[]} The class names and their nodes.
+     */
+    function checkClassName(node) {
+      var value = null;
+      if (node.type === 'Literal' && typeof node.value === 'string') {
+        value = node.value;
+      } else if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+        value = node.quasis[0].value.cooked;
+      } else if (node.type === 'Identifier' || node.type === 'MemberExpression' || node.type === 'CallExpression') {
+        return [];
+      }
+      if (value === null || !CLASS_NAMES_REGEX.test(value)) {
+        context.report({
+          node: node,
+          messageId: 'invalidClassName'
+        });
+        return [];
+      }
+      return value.split(' ').map(function(name) {
+        return {name: name, node: node};
+      });
+    }
+
+    /**
+     * Validates the publicClassNames of the styles property
+     * @param {ASTNode} node The publicClassNames value node.
+     * @returns {Object[]} The class names and their nodes.
+     */
+    function checkPublicClassNames(node) {
+      if (node.type === 'Literal' && node.value === true) {
+        return [];
+      }
+      if (node.type === 'Identifier' || node.type === 'MemberExpression' || node.type === 'CallExpression') {
+        return [];
+      }
+      if (node.type !== 'ArrayExpression') {
+        context.report({
+          node: node,
+          messageId: 'invalidPublicClassNames'
+        });
+        return [];
+      }
+      // Elements which cannot be determined statically are not checked
+      var literals = node.elements.filter(function(element) {
+        return element && element.type === 'Literal';
+      });
+      var classNames = literals.filter(function(element) {
+        return typeof element.value === 'string' &&
+          CLASS_NAMES_REGEX.test(element.value) && element.value.indexOf(' ') < 0;
+      });
+      literals.forEach(function(element) {
+        if (classNames.indexOf(element) < 0) {
+          context.report({
+            node: element,
+            messageId: 'invalidPublicClassNames'
+          });
+        }
+      });
+      return classNames.map(function(element) {
+        return {name: element.value, node: element};
+      });
+    }
+
+    /**
+     * Validates the styles property of a kind() definition
+     * @param {ASTNode} node The styles value node.
+     */
+    function checkStyles(node) {
+      if (node.type !== 'ObjectExpression') {
+        if (node.type !== 'Identifier' && node.type !== 'MemberExpression' && node.type !== 'CallExpression') {
+          context.report({
+            node: node,
+            messageId: 'stylesNotObject'
+          });
+        }
+        return;
+      }
+      if (node.properties.some(function(property) {
+        return property.type !== 'Property';
+      })) {
+        return;
+      }
+
+      var css = kindUtil.findProperty(node, 'css');
+      var className = kindUtil.findProperty(node, 'className');
+      var publicClassNames = kindUtil.findProperty(node, 'publicClassNames');
+      var importNode = null;
+
+      if (!css) {
+        context.report({
+          node: node,
+          messageId: 'missingCss'
+        });
+      } else if (css.value.type === 'Identifier') {
+        importNode = findImport(css.value);
+        if (importNode && !CSS_MODULE_REGEX.test(importNode.source.value)) {
+          context.report({
+            node: css.value,
+            messageId: 'cssNotModule'
+          });
+          importNode = null;
+        }
+      }
+
+      var entries = (className ? checkClassName(className.value) : [])
+        .concat(publicClassNames ? checkPublicClassNames(publicClassNames.value) : []);
+
+      if (checkClassNames && importNode) {
+        checkDefinedClassNames(importNode, entries);
+      }
+    }
+
+    // --------------------------------------------------------------------------
+    // Public
+    // --------------------------------------------------------------------------
+
+    return {
+      ObjectExpression: function(node) {
+        if (!utils.isKindComponent(node)) {
+          return;
+        }
+        var styles = kindUtil.findProperty(node, 'styles');
+        if (styles) {
+          checkStyles(styles.value);
+        }
+      }
+    };
+  })
+};
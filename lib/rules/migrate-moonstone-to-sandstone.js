@@ -0,0 +1,309 @@
+/**
+ * Migrate @enact/moonstone imports to their @enact/sandstone equivalents
+ */
+
+'use strict';
+
+var MOONSTONE = '@enact/moonstone';
+var SANDSTONE = '@enact/sandstone';
+
+// The sandstone modules replacing each moonstone module. A string is a direct equivalent which is
+// migrated automatically, `{suggest: name}` is the closest module with a different API and `null`
+// has no equivalent.
+var MODULES = {
+  ActivityPanels: {suggest: 'Panels'},
+  BodyText: 'BodyText',
+  Button: 'Button',
+  Checkbox: 'Checkbox',
+  CheckboxItem: 'CheckboxItem',
+  ContextualPopupDecorator: 'ContextualPopupDecorator',
+  DatePicker: 'DatePicker',
+  DayPicker: 'DayPicker',
+  DaySelector: {suggest: 'DayPicker'},
+  Dialog: {suggest: 'Alert'},
+  Divider: {suggest: 'Heading'},
+  EditableIntegerPicker: null,
+  ExpandableInput: {suggest: 'Input'},
+  ExpandableItem: null,
+  ExpandableList: {suggest: 'Dropdown'},
+  ExpandablePicker: {suggest: 'Dropdown'},
+  FormCheckboxItem: 'FormCheckboxItem',
+  GridListImageItem: {suggest: 'ImageItem'},
+  Heading: 'Heading',
+  Icon: 'Icon',
+  IconButton: {suggest: 'Button'},
+  Image: 'Image',
+  IncrementSlider: {suggest: 'Slider'},
+  Input: {suggest: 'InputField'},
+  Item: 'Item',
+  LabeledIcon: null,
+  LabeledIconButton: null,
+  LabeledItem: null,
+  Marquee: 'Marquee',
+  MediaOverlay: 'MediaOverlay',
+  MoonstoneDecorator: 'ThemeDecorator',
+  Notification: {suggest: 'Alert'},
+  Panels: 'Panels',
+  Picker: 'Picker',
+  Popup: 'Popup',
+  ProgressBar: 'ProgressBar',
+  RadioItem: 'RadioItem',
+  RangePicker: 'RangePicker',
+  Region: 'Region',
+  Scroller: 'Scroller',
+  SelectableItem: null,
+  Skinnable: 'Skinnable',
+  Slider: 'Slider',
+  SlotItem: {suggest: 'Item'},
+  Spinner: 'Spinner',
+  Switch: 'Switch',
+  SwitchItem: 'SwitchItem',
+  TimePicker: 'TimePicker',
+  ToggleButton: {suggest: 'Button'},
+  ToggleItem: null,
+  TooltipDecorator: 'TooltipDecorator',
+  VideoPlayer: 'VideoPlayer',
+  VirtualList: 'VirtualList',
+  styles: 'styles'
+};
+
+// The props of moonstone components which changed in their sandstone equivalents, by moonstone
+// module. A string is the renamed prop and `null` has no equivalent.
+var PROPS = {
+  Button: {
+    casing: null,
+    small: null
+  },
+  Heading: {
+    casing: null
+  },
+  Icon: {
+    small: null
+  },
+  IconButton: {
+    small: null
+  },
+  Popup: {
+    showCloseButton: null
+  }
+};
+
+/**
+ * Merges a table from `settings.enact` over a default table
+ * @param {Object} defaults The default table.
+ * @param {Object} [overrides] The configured table.
+ * @returns {Object} The merged table.
+ */
+function merge(defaults, overrides) {
+  return Object.assign(Object.create(null), defaults, overrides);
+}
+
+// ------------------------------------------------------------------------------
+// Rule Definition
+// ------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'Migrate @enact/moonstone imports to their @enact/sandstone equivalents',
+      category: 'Best Practices',
+      recommended: false
+    },
+
+    fixable: 'code',
+    hasSuggestions: true,
+
+    messages: {
+      migrateModule: '\'{{source}}\' should be migrated to \'{{replacement}}\'',
+      noEquivalentModule: '\'{{source}}\' has no direct equivalent in ' + SANDSTONE,
+      replaceModule: 'Replace with \'{{replacement}}\'',
+      renamedProp: 'The \'{{name}}\' prop of {{component}} is \'{{replacement}}\' in ' + SANDSTONE,
+      noEquivalentProp: 'The \'{{name}}\' prop of {{component}} has no direct equivalent in ' + SANDSTONE
+    },
+
+    schema: []
+  },
+
+  create: function(context) {
+
+    var settings = (context.settings.enact && context.settings.enact.sandstoneMigration) || {};
+    var modules = merge(MODULES, settings.modules);
+    var props = merge(PROPS, settings.props);
+
+    // The moonstone import sources to report, in source order
+    var sources = [];
+    // The moonstone module imported as each local name
+    var localModules = Object.create(null);
+    // The moonstone modules used with props which have no equivalent
+    var blockedModules = Object.create(null);
+
+    /**
+     * Parses a moonstone import source
+     * @param {String} source The import source.
+     * @returns {Object|null} The module name and the rest of the path, or null if not a moonstone module.
+     */
+    function parseSource(source) {
+      // The package itself has no main module to migrate, so it is reported without an equivalent
+      if (source === MOONSTONE) {
+        return {name: '', rest: ''};
+      }
+      if (typeof source !== 'string' || source.indexOf(MOONSTONE + '/') !== 0) {
+        return null;
+      }
+      var path = source.slice(MOONSTONE.length + 1);
+      var index = path.indexOf('/');
+      return {
+        name: index < 0 ? path : path.slice(0, index),
+        rest: index < 0 ? '' : path.slice(index)
+      };
+    }
+
+    /**
+     * Creates a fixer which replaces the module of an import source
+     * @param {ASTNode} node The import source Literal.
+     * @param {String} replacement The sandstone import source.
+     * @returns {Function} The fixer function.
+     */
+    function getSourceFixer(node, replacement) {
+      return function(fixer) {
+        var quote = node.raw[0];
+        return fixer.replaceText(node, quote + replacement + quote);
+      };
+    }
+
+    /**
+     * Records a moonstone import source to report
+     * @param {ASTNode} node The import source node.
+     */
+    function addSource(node) {
+      var parsed = node && node.type === 'Literal' && parseSource(node.value);
+      if (parsed) {
+        sources.push({node: node, name: parsed.name, rest: parsed.rest});
+      }
+    }
+
+    /**
+     * Reports a moonstone import source
+     * @param {Object} source The recorded import source.
+     */
+    function reportSource(source) {
+      var node = source.node;
+      var mapping = source.name && source.name in modules ? modules[source.name] : null;
+      var target = mapping && (typeof mapping === 'string' ? mapping : mapping.suggest);
+      if (!target) {
+        context.report({
+          node: node,
+          messageId: 'noEquivalentModule',
+          data: {
+            source: node.value
+          }
+        });
+        return;
+      }
+
+      var replacement = SANDSTONE + '/' + target + source.rest;
+      var fix = getSourceFixer(node, replacement);
+      var isDirect = typeof mapping === 'string' && !blockedModules[source.name];
+      context.report({
+        node: node,
+        messageId: typeof mapping === 'string' ? 'migrateModule' : 'noEquivalentModule',
+        data: {
+          source: node.value,
+          replacement: replacement
+        },
+        fix: isDirect ? fix : null,
+        suggest: isDirect ? [] : [{
+          messageId: 'replaceModule',
+          data: {
+            replacement: replacement
+          },
+          fix: fix
+        }]
+      });
+    }
+
+    /**
+     * Reports props of a moonstone component which changed in sandstone
+     * @param {ASTNode} node The JSXOpeningElement.
+     */
+    function checkElement(node) {
+      if (node.name.type !== 'JSXIdentifier' || !(node.name.name in localModules)) {
+        return;
+      }
+      var component = node.name.name;
+      var moduleName = localModules[component];
+      var changed = props[moduleName] || {};
+      var attributes = node.attributes.filter(function(attribute) {
+        return attribute.type === 'JSXAttribute' && attribute.name.type === 'JSXIdentifier';
+      });
+      attributes.forEach(function(attribute) {
+        var name = attribute.name.name;
+        if (!Object.prototype.hasOwnProperty.call(changed, name)) {
+          return;
+        }
+        var replacement = changed[name];
+        var hasReplacement = attributes.some(function(item) {
+          return item.name.name === replacement;
+        });
+        if (!replacement || hasReplacement) {
+          blockedModules[moduleName] = true;
+        }
+        context.report({
+          node: attribute.name,
+          messageId: replacement ? 'renamedProp' : 'noEquivalentProp',
+          data: {
+            name: name,
+            component: component,
+            replacement: replacement
+          },
+          fix: replacement && !hasReplacement ? function(fixer) {
+            return fixer.replaceText(attribute.name, replacement);
+          } : null
+        });
+      });
+    }
+
+    // --------------------------------------------------------------------------
+    // Public
+    // --------------------------------------------------------------------------
+
+    return {
+      ImportDeclaration: function(node) {
+        addSource(node.source);
+        var parsed = parseSource(node.source.value);
+        if (!parsed || !parsed.name || parsed.rest) {
+          return;
+        }
+        node.specifiers.forEach(function(specifier) {
+          if (specifier.type !== 'ImportNamespaceSpecifier') {
+            localModules[specifier.local.name] = parsed.name;
+          }
+        });
+      },
+
+      ExportNamedDeclaration: function(node) {
+        addSource(node.source);
+      },
+
+      ExportAllDeclaration: function(node) {
+        addSource(node.source);
+      },
+
+      ImportExpression: function(node) {
+        addSource(node.source);
+      },
+
+      CallExpression: function(node) {
+        if (node.callee.type === 'Identifier' && node.callee.name === 'require' && node.arguments.length === 1) {
+          addSource(node.arguments[0]);
+        }
+      },
+
+      JSXOpeningElement: checkElement,
+
+      'Program:exit': function() {
+        sources.forEach(reportSource);
+      }
+    };
+  }
+};
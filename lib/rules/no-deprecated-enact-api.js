@@ -0,0 +1,296 @@
+/**
+ * Report Enact APIs which are deprecated or removed in the configured Enact version
+ */
+
+'use strict';
+
+var Components = require('../util/Components');
+var kindUtil = require('../util/kind');
+var versionUtil = require('../util/version');
+
+// The Enact APIs which have been deprecated or removed, by the version in which they changed.
+// Entries with `fix` set are replaced mechanically by `replacement`.
+var DEPRECATIONS = [
+  {
+    type: 'module',
+    name: '@enact/ui/Holdable',
+    since: '2.0.0',
+    removed: true,
+    replacement: '@enact/ui/Touchable'
+  },
+  {
+    type: 'module',
+    name: '@enact/ui/Pressable',
+    since: '2.0.0',
+    removed: true,
+    replacement: '@enact/ui/Touchable'
+  },
+  {
+    type: 'prop',
+    module: '@enact/ui/VirtualList',
+    name: 'component',
+    since: '2.0.0',
+    removed: true,
+    replacement: 'itemRenderer',
+    fix: true
+  },
+  {
+    type: 'module',
+    name: '@enact/i18n/ilib',
+    since: '3.0.0',
+    removed: true,
+    replacement: 'ilib',
+    fix: true
+  },
+  {
+    type: 'kind',
+    name: 'contextTypes',
+    since: '3.0.0',
+    removed: true,
+    replacement: 'contextType'
+  },
+  {
+    type: 'module',
+    name: '@enact/moonstone',
+    since: '4.0.0',
+    replacement: '@enact/sandstone'
+  }
+];
+
+// Versions accepted in the `since` field of deprecation entries, e.g. `4.0` or `4.0.0`
+var VERSION_PATTERN = /^[0-9]+\.[0-9]+(\.[0-9]+)?$/;
+
+/**
+ * Checks if an import source is a module or one of its submodules
+ * @param {String} source The import source.
+ * @param {String} name The module name.
+ * @returns {Boolean} True if the source is the module or a submodule, false if not.
+ */
+function isModule(source, name) {
+  return source === name || source.indexOf(name + '/') === 0;
+}
+
+/**
+ * Checks if a deprecation entry has the fields required to match and report it
+ * @param {Object} entry The deprecation entry.
+ * @returns {Boolean} True if the entry is valid, false if not.
+ */
+function isValidEntry(entry) {
+  return Boolean(entry) && typeof entry.type === 'string' && typeof entry.name === 'string' &&
+    typeof entry.since === 'string' && VERSION_PATTERN.test(entry.since);
+}
+
+// ------------------------------------------------------------------------------
+// Rule Definition
+// ------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'Report Enact APIs which are deprecated or removed in the configured Enact version',
+      category: 'Best Practices',
+      recommended: false
+    },
+
+    fixable: 'code',
+
+    messages: {
+      deprecated: '{{what}} is deprecated in Enact {{version}}{{hint}}',
+      removed: '{{what}} was removed in Enact {{version}}{{hint}}'
+    },
+
+    schema: []
+  },
+
+  create: Components.detect(function(context, components, utils) {
+
+    var settings = context.settings.enact || {};
+    var deprecations = DEPRECATIONS.concat(settings.deprecations || []).filter(function(entry) {
+      return isValidEntry(entry) && versionUtil.testEnact(context, entry.since);
+    });
+
+    /**
+     * Gets the deprecation entries of a type which apply to the configured version
+     * @param {String} type The deprecation type.
+     * @returns {Object[]} The deprecation entries.
+     */
+    function byType(type) {
+      return deprecations.filter(function(entry) {
+        return entry.type === type;
+      });
+    }
+
+    var modules = byType('module');
+    var props = byType('prop');
+    var kindProperties = byType('kind');
+    var configs = byType('config');
+
+    // Entries of prop and config deprecations which apply to each imported local name
+    var localEntries = Object.create(null);
+
+    /**
+     * Reports a deprecated API
+     * @param {ASTNode} node The node to report.
+     * @param {Object} entry The deprecation entry.
+     * @param {String} what The description of the API.
+     * @param {Function} [fix] The fixer function.
+     */
+    function report(node, entry, what, fix) {
+      context.report({
+        node: node,
+        messageId: entry.removed ? 'removed' : 'deprecated',
+        data: {
+          what: what,
+          version: entry.since,
+          hint: entry.replacement ? '; use \'' + entry.replacement + '\' instead' : ''
+        },
+        fix: entry.fix && entry.replacement ? fix : null
+      });
+    }
+
+    /**
+     * Reports an import of a deprecated module
+     * @param {ASTNode} node The import source Literal.
+     */
+    function checkSource(node) {
+      var source = node && node.type === 'Literal' && node.value;
+      if (typeof source !== 'string') {
+        return;
+      }
+      modules.forEach(function(entry) {
+        if (!isModule(source, entry.name)) {
+          return;
+        }
+        report(node, entry, '\'' + entry.name + '\'', function(fixer) {
+          var quote = node.raw[0];
+          return fixer.replaceText(node, quote + entry.replacement + source.slice(entry.name.length) + quote);
+        });
+      });
+    }
+
+    /**
+     * Records the local names imported from modules with deprecated props or config options
+     * @param {ASTNode} node The ImportDeclaration.
+     */
+    function addImport(node) {
+      var source = node.source.value;
+      props.concat(configs).forEach(function(entry) {
+        if (!isModule(source, entry.module)) {
+          return;
+        }
+        node.specifiers.forEach(function(specifier) {
+          if (specifier.type === 'ImportNamespaceSpecifier') {
+            return;
+          }
+          var name = specifier.local.name;
+          localEntries[name] = (localEntries[name] || []).concat(entry);
+        });
+      });
+    }
+
+    /**
+     * Gets the deprecation entries of a type which apply to an imported local name
+     * @param {String} name The local name.
+     * @param {String} type The deprecation type.
+     * @returns {Object[]} The deprecation entries.
+     */
+    function getLocalEntries(name, type) {
+      return (localEntries[name] || []).filter(function(entry) {
+        return entry.type === type;
+      });
+    }
+
+    /**
+     * Reports deprecated properties of an object
+     * @param {ASTNode} node The ObjectExpression.
+     * @param {Object[]} entries The deprecation entries which apply to the object.
+     * @param {Function} describe Creates the description of a property from its name.
+     */
+    function checkProperties(node, entries, describe) {
+      entries.forEach(function(entry) {
+        var property = kindUtil.findProperty(node, entry.name);
+        if (!property) {
+          return;
+        }
+        var hasReplacement = Boolean(entry.replacement && kindUtil.findProperty(node, entry.replacement));
+        report(property.key, entry, describe(entry.name), hasReplacement ? null : kindUtil.getRenameFixer(property, entry.replacement));
+      });
+    }
+
+    /**
+     * Reports deprecated props of a JSX element
+     * @param {ASTNode} node The JSXOpeningElement.
+     */
+    function checkElement(node) {
+      var elementName = node.name;
+      if (elementName.type === 'JSXMemberExpression') {
+        elementName = elementName.object;
+      }
+      if (elementName.type !== 'JSXIdentifier') {
+        return;
+      }
+      var component = elementName.name;
+      var attributes = node.attributes.filter(function(attribute) {
+        return attribute.type === 'JSXAttribute' && attribute.name.type === 'JSXIdentifier';
+      });
+      getLocalEntries(component, 'prop').forEach(function(entry) {
+        var attribute = attributes.find(function(item) {
+          return item.name.name === entry.name;
+        });
+        if (!attribute) {
+          return;
+        }
+        var hasReplacement = attributes.some(function(item) {
+          return item.name.name === entry.replacement;
+        });
+        report(attribute.name, entry, 'The \'' + entry.name + '\' prop of ' + component, hasReplacement ? null : function(fixer) {
+          return fixer.replaceText(attribute.name, entry.replacement);
+        });
+      });
+    }
+
+    // --------------------------------------------------------------------------
+    // Public
+    // --------------------------------------------------------------------------
+
+    return {
+      ImportDeclaration: function(node) {
+        checkSource(node.source);
+        addImport(node);
+      },
+
+      ExportNamedDeclaration: function(node) {
+        checkSource(node.source);
+      },
+
+      ExportAllDeclaration: function(node) {
+        checkSource(node.source);
+      },
+
+      ImportExpression: function(node) {
+        checkSource(node.source);
+      },
+
+      JSXOpeningElement: checkElement,
+
+      ObjectExpression: function(node) {
+        if (utils.isKindComponent(node)) {
+          checkProperties(node, kindProperties, function(name) {
+            return 'The \'' + name + '\' property of kind()';
+          });
+        }
+      },
+
+      CallExpression: function(node) {
+        var config = node.arguments[0];
+        if (node.callee.type !== 'Identifier' || !config || config.type !== 'ObjectExpression') {
+          return;
+        }
+        var decorator = node.callee.name;
+        checkProperties(config, getLocalEntries(decorator, 'config'), function(name) {
+          return 'The \'' + name + '\' config option of ' + decorator;
+        });
+      }
+    };
+  })
+};
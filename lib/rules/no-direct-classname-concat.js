@@ -0,0 +1,202 @@
+/**
+ * Prevent building className values by concatenating css class names in an Enact kind render function
+ */
+
+'use strict';
+
+var Components = require('../util/Components');
+var kindUtil = require('../util/kind');
+
+// ------------------------------------------------------------------------------
+// Rule Definition
+// ------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'Prevent concatenating css class names for className in an Enact component render function',
+      category: 'Best Practices',
+      recommended: false
+    },
+
+    hasSuggestions: true,
+
+    messages: {
+      noConcat: 'Do not concatenate css class names; use classnames or the kind styles instead',
+      useClassnames: 'Use classnames() to join the class names'
+    },
+
+    schema: []
+  },
+
+  create: Components.detect(function(context, components, utils) {
+
+    var sourceCode = context.getSourceCode();
+    var classnamesName = null;
+    var lastImport = null;
+
+    /**
+     * Checks if the node is within the render function of a kind() definition
+     * @param {ASTNode} node The AST node being checked.
+     * @returns {Boolean} True if the node is within a kind render function, false if not.
+     */
+    function isInKindRender(node) {
+      return sourceCode.getAncestors(node).some(function(ancestor) {
+        var property = ancestor.parent;
+        return /Function/.test(ancestor.type) &&
+          property && property.type === 'Property' && property.value === ancestor &&
+          kindUtil.getKeyName(property) === 'render' &&
+          utils.isKindComponent(property.parent);
+      });
+    }
+
+    /**
+     * Checks if the node is a member of the css object
+     * @param {ASTNode} node The AST node being checked.
+     * @returns {Boolean} True if the node is a `css.*` member, false if not.
+     */
+    function isCssMember(node) {
+      return node.type === 'MemberExpression' &&
+        node.object.type === 'Identifier' &&
+        node.object.name === 'css';
+    }
+
+    /**
+     * Flattens a string concatenation into its operands
+     * @param {ASTNode} node The expression node.
+     * @returns {ASTNode[]} The operands in order.
+     */
+    function getOperands(node) {
+      if (node.type === 'BinaryExpression' && node.operator === '+') {
+        return getOperands(node.left).concat(getOperands(node.right));
+      }
+      return [node];
+    }
+
+    /**
+     * Converts the parts of a concatenated class name into classnames() arguments
+     * @param {Array} parts The parts, as either static strings or expression nodes.
+     * @returns {String[]|null} The argument source, or null if a class name is split across parts.
+     */
+    function getArguments(parts) {
+      var args = [];
+      for (var i = 0; i < parts.length; i++) {
+        var part = parts[i];
+        var hasPrevious = i > 0;
+        var hasNext = i < parts.length - 1;
+        if (typeof part !== 'string') {
+          // Expressions joined without whitespace form a single class name
+          if (hasPrevious && typeof parts[i - 1] !== 'string') {
+            return null;
+          }
+          args.push(sourceCode.getText(part));
+          continue;
+        }
+        if (part === '') {
+          if (hasPrevious && hasNext) {
+            return null;
+          }
+          continue;
+        }
+        // A static string joined to an expression without whitespace forms a single class name
+        if ((hasPrevious && !/^\s/.test(part)) || (hasNext && !/\s$/.test(part))) {
+          return null;
+        }
+        part.split(/\s+/).filter(Boolean).forEach(function(name) {
+          args.push('\'' + name.replace(/'/g, '\\\'') + '\'');
+        });
+      }
+      return args;
+    }
+
+    /**
+     * Gets the parts of a className value built by concatenation or a template literal
+     * @param {ASTNode} node The className expression.
+     * @returns {Array|null} The parts, or null if the value is not built from css members.
+     */
+    function getParts(node) {
+      var parts = null;
+      if (node.type === 'TemplateLiteral' && node.expressions.length > 0) {
+        parts = [];
+        node.quasis.forEach(function(quasi, index) {
+          parts.push(quasi.value.cooked);
+          if (index < node.expressions.length) {
+            parts.push(node.expressions[index]);
+          }
+        });
+      } else if (node.type === 'BinaryExpression' && node.operator === '+') {
+        parts = getOperands(node).map(function(operand) {
+          return operand.type === 'Literal' && typeof operand.value === 'string' ? operand.value : operand;
+        });
+      }
+      var usesCss = parts && parts.some(function(part) {
+        return typeof part !== 'string' && isCssMember(part);
+      });
+      return usesCss ? parts : null;
+    }
+
+    /**
+     * Creates a fixer which replaces a className value with a classnames() call
+     * @param {ASTNode} node The className expression.
+     * @param {String[]} args The classnames() argument source.
+     * @returns {Function} The fixer function.
+     */
+    function getClassnamesFixer(node, args) {
+      return function(fixer) {
+        var name = classnamesName || 'classnames';
+        var fixes = [fixer.replaceText(node, name + '(' + args.join(', ') + ')')];
+        if (!classnamesName) {
+          var declaration = 'import classnames from \'classnames\';';
+          if (lastImport) {
+            fixes.push(fixer.insertTextAfter(lastImport, '\n' + declaration));
+          } else {
+            fixes.push(fixer.insertTextBeforeRange([0, 0], declaration + '\n'));
+          }
+        }
+        return fixes;
+      };
+    }
+
+    // --------------------------------------------------------------------------
+    // Public
+    // --------------------------------------------------------------------------
+
+    return {
+      ImportDeclaration: function(node) {
+        lastImport = node;
+        if (node.source.value !== 'classnames') {
+          return;
+        }
+        node.specifiers.forEach(function(specifier) {
+          if (specifier.type === 'ImportDefaultSpecifier') {
+            classnamesName = specifier.local.name;
+          }
+        });
+      },
+
+      JSXAttribute: function(node) {
+        if (
+          node.name.name !== 'className' ||
+          !node.value ||
+          node.value.type !== 'JSXExpressionContainer'
+        ) {
+          return;
+        }
+        var expression = node.value.expression;
+        var parts = getParts(expression);
+        if (!parts || !isInKindRender(node)) {
+          return;
+        }
+        var args = getArguments(parts);
+        context.report({
+          node: expression,
+          messageId: 'noConcat',
+          suggest: args ? [{
+            messageId: 'useClassnames',
+            fix: getClassnamesFixer(expression, args)
+          }] : []
+        });
+      }
+    };
+  })
+};
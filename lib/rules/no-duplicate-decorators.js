@@ -0,0 +1,108 @@
+/**
+ * Prevent the same Enact decorator from being applied more than once to a component
+ */
+
+'use strict';
+
+var decoratorUtil = require('../util/decorator');
+var variableUtil = require('../util/variable');
+
+// ------------------------------------------------------------------------------
+// Rule Definition
+// ------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'Prevent the same Enact decorator from being applied more than once to a component',
+      category: 'Possible Errors',
+      recommended: false
+    },
+
+    messages: {
+      duplicateDecorator: '\'{{name}}\' is already applied to this component'
+    },
+
+    schema: [{
+      type: 'object',
+      properties: {
+        ignore: {
+          type: 'array',
+          items: {
+            type: 'string'
+          },
+          uniqueItems: true
+        }
+      },
+      additionalProperties: false
+    }]
+  },
+
+  create: function(context) {
+
+    var sourceCode = context.getSourceCode();
+    var config = context.options[0] || {};
+    var ignore = config.ignore || [];
+
+    // The compose functions and named decorators imported by the module
+    var imports = decoratorUtil.createImports();
+    // Nodes already reported, as stacks followed through variables are checked more than once
+    var reported = [];
+
+    /**
+     * Resolves an identifier to the initial value of a local const variable
+     * @param {ASTNode} node The Identifier node.
+     * @returns {ASTNode|null} The initial value, or null if not a local const variable.
+     */
+    function resolve(node) {
+      return variableUtil.findConstValue(sourceCode, context, node, node.name);
+    }
+
+    /**
+     * Reports decorators applied outside of another application of the same decorator
+     * @param {Object[]} layers The decorator names and nodes, from outermost to innermost.
+     */
+    function checkDuplicates(layers) {
+      for (var i = 0; i < layers.length; i++) {
+        var layer = layers[i];
+        if (ignore.indexOf(layer.name) >= 0 || reported.indexOf(layer.node) >= 0) {
+          continue;
+        }
+        for (var j = i + 1; j < layers.length; j++) {
+          if (layers[j].name === layer.name) {
+            reported.push(layer.node);
+            context.report({
+              node: layer.node,
+              messageId: 'duplicateDecorator',
+              data: {
+                name: layer.name
+              }
+            });
+            break;
+          }
+        }
+      }
+    }
+
+    // --------------------------------------------------------------------------
+    // Public
+    // --------------------------------------------------------------------------
+
+    return {
+      ImportDeclaration: function(node) {
+        decoratorUtil.addImport(imports, node);
+      },
+
+      CallExpression: function(node) {
+        // Only the outermost call of a decorator stack is checked
+        if (!decoratorUtil.isStackRoot(node)) {
+          return;
+        }
+        var layers = decoratorUtil.getLayers(context, imports, node, resolve);
+        if (layers.length > 1) {
+          checkDuplicates(layers);
+        }
+      }
+    };
+  }
+};
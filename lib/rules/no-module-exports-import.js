@@ -3,12 +3,117 @@
  *
  * Based on the no-import-module-exports rule created by Thomas Marek
  *     https://github.com/benmosher/eslint-plugin-import/pull/804
- * Modifications to inversely report the module.exports/exports and 
+ * Modifications to inversely report the module.exports/exports and
  * remove entrypoint detection by Jason Robitaille
  */
 
+var path = require('path');
 var {minimatch} = require('minimatch');
 
+var EXPORT_TYPES = ['ExportAllDeclaration', 'ExportDefaultDeclaration', 'ExportNamedDeclaration'];
+
+// The assets which may be required by Enact's webpack configuration
+var ASSET_EXTENSIONS = [
+	'.bmp', '.gif', '.ico', '.jpeg', '.jpg', '.png', '.svg', '.webp',
+	'.css', '.less', '.sass', '.scss',
+	'.eot', '.otf', '.ttf', '.woff', '.woff2',
+	'.mp3', '.mp4', '.ogg', '.wav', '.webm'
+];
+
+/**
+ * Gets the CommonJS export expression referenced by an unresolved global reference
+ * @param {Object} reference The reference to `module` or `exports`.
+ * @returns {ASTNode|null} The `module.exports` or `exports.*` MemberExpression, or null if not an export.
+ */
+function getExportNode(reference) {
+	var identifier = reference.identifier;
+	var parent = identifier.parent;
+	if (parent.type !== 'MemberExpression' || parent.object !== identifier) {
+		return null;
+	}
+	if (identifier.name === 'exports') {
+		return parent;
+	}
+	var isExports = parent.computed ?
+		parent.property.type === 'Literal' && parent.property.value === 'exports' :
+		parent.property.name === 'exports';
+	return identifier.name === 'module' && isExports ? parent : null;
+}
+
+/**
+ * Checks if a CommonJS export is a simple `module.exports = x` statement at the top level
+ * @param {ASTNode} node The `module.exports` MemberExpression.
+ * @returns {Boolean} True if the export can be converted to `export default`, false if not.
+ */
+function isSimpleExport(node) {
+	var assignment = node.parent;
+	return node.object.name === 'module' &&
+		assignment.type === 'AssignmentExpression' &&
+		assignment.operator === '=' &&
+		assignment.left === node &&
+		assignment.right.type !== 'SequenceExpression' &&
+		assignment.parent.type === 'ExpressionStatement' &&
+		assignment.parent.parent.type === 'Program';
+}
+
+/**
+ * Gets the `require()` call of an unresolved global reference
+ * @param {Object} reference The reference to `require`.
+ * @returns {ASTNode|null} The CallExpression, or null if not a `require()` call.
+ */
+function getRequireNode(reference) {
+	var identifier = reference.identifier;
+	var parent = identifier.parent;
+	return parent.type === 'CallExpression' && parent.callee === identifier ? parent : null;
+}
+
+/**
+ * Gets the module required by a `require()` call
+ * @param {ASTNode} node The CallExpression.
+ * @returns {String|null} The module, or null if not a static string.
+ */
+function getRequiredModule(node) {
+	var arg = node.arguments[0];
+	if (node.arguments.length !== 1 || !arg) {
+		return null;
+	}
+	if (arg.type === 'Literal' && typeof arg.value === 'string') {
+		return arg.value;
+	}
+	if (arg.type === 'TemplateLiteral' && arg.expressions.length === 0) {
+		return arg.quasis[0].value.cooked;
+	}
+	return null;
+}
+
+/**
+ * Checks if a module is an asset, such as an image or a stylesheet
+ * @param {String|null} source The required module.
+ * @returns {Boolean} True if the module has an asset extension, false if not.
+ */
+function isAsset(source) {
+	return Boolean(source) && ASSET_EXTENSIONS.indexOf(path.extname(source.split('?')[0]).toLowerCase()) >= 0;
+}
+
+/**
+ * Checks if a `require()` call is a simple `const x = require('y')` declaration at the top level
+ * @param {ASTNode} node The CallExpression.
+ * @returns {Boolean} True if the declaration can be converted to `import x from 'y'`, false if not.
+ */
+function isSimpleRequire(node) {
+	var declarator = node.parent;
+	var declaration = declarator.parent;
+	return node.arguments.length === 1 &&
+		node.arguments[0].type === 'Literal' &&
+		typeof node.arguments[0].value === 'string' &&
+		declarator.type === 'VariableDeclarator' &&
+		declarator.init === node &&
+		declarator.id.type === 'Identifier' &&
+		declaration.kind === 'const' &&
+		declaration.declarations.length === 1 &&
+		declaration.parent.type === 'Program';
+}
+
 module.exports = {
 	meta: {
 		docs: {
@@ -17,33 +122,130 @@ module.exports = {
 			recommended: true
 		},
 		fixable: 'code',
+		messages: {
+			commonJSExport: 'No CommonJS exports when using ES6 import statements',
+			commonJSRequire: 'No CommonJS require() when using ES6 import or export statements',
+			moduleExport: 'No ES6 export statements when using CommonJS exports'
+		},
 		schema: [{
 			'type': 'object',
 			'properties': {
-				'exceptions': { 'type': 'array' }
+				'exceptions': { 'type': 'array' },
+				'allowAssetRequire': { 'type': 'boolean' }
 			},
 			'additionalProperties': false
 		}]
 	},
 	create: function create(context) {
-		var usesES6Imports = false;
+		var sourceCode = context.getSourceCode();
 		var options = context.options[0] || {};
+		var fileName = context.filename || context.getFilename();
+		var cwd = context.cwd || (context.getCwd ? context.getCwd() : process.cwd());
+		var relativeFileName = path.relative(cwd, fileName).split(path.sep).join('/');
+		var isException = (options.exceptions || []).some(function (glob) {
+			return minimatch(fileName, glob) || minimatch(relativeFileName, glob);
+		});
+
+		if (isException) {
+			return {};
+		}
+
+		/**
+		 * Gets the references to CommonJS globals which are not declared in the module
+		 * @param {Object} scope The global scope.
+		 * @param {String[]} names The names of the globals.
+		 * @returns {Object[]} The references.
+		 */
+		function getGlobalReferences(scope, names) {
+			var references = scope.through.filter(function (reference) {
+				return names.indexOf(reference.identifier.name) >= 0;
+			});
+			// References to configured globals, e.g. with the node environment, are resolved
+			names.forEach(function (name) {
+				var variable = scope.set.get(name);
+				if (variable && !variable.defs.length) {
+					references = references.concat(variable.references);
+				}
+			});
+			return references;
+		}
+
+		/**
+		 * Reports CommonJS exports in a module using ES6 imports
+		 * @param {ASTNode[]} exportNodes The `module.exports` and `exports.*` MemberExpressions.
+		 * @param {Boolean} hasDefaultExport Whether the module has an `export default` declaration.
+		 */
+		function reportExports(exportNodes, hasDefaultExport) {
+			exportNodes.forEach(function (exportNode) {
+				var isFixable = exportNodes.length === 1 && !hasDefaultExport && isSimpleExport(exportNode);
+				context.report({
+					node: exportNode,
+					messageId: 'commonJSExport',
+					fix: isFixable ? function (fixer) {
+						var statement = exportNode.parent.parent;
+						var operator = sourceCode.getTokenAfter(exportNode, function (token) {
+							return token.value === '=';
+						});
+						return fixer.replaceTextRange([statement.range[0], operator.range[1]], 'export default');
+					} : null
+				});
+			});
+		}
+
+		/**
+		 * Reports `require()` calls in a module using ES6 imports or exports
+		 * @param {ASTNode[]} requireNodes The `require()` CallExpressions.
+		 */
+		function reportRequires(requireNodes) {
+			requireNodes.forEach(function (requireNode) {
+				if (options.allowAssetRequire && isAsset(getRequiredModule(requireNode))) {
+					return;
+				}
+				context.report({
+					node: requireNode,
+					messageId: 'commonJSRequire',
+					fix: isSimpleRequire(requireNode) ? function (fixer) {
+						var declarator = requireNode.parent;
+						var statement = declarator.parent;
+						return fixer.replaceTextRange(
+							[statement.range[0], requireNode.range[1]],
+							'import ' + declarator.id.name + ' from ' + sourceCode.getText(requireNode.arguments[0])
+						);
+					} : null
+				});
+			});
+		}
 
 		return {
-			ImportDeclaration: function ImportDeclaration() {
-				usesES6Imports = true;
-			},
-			MemberExpression: function MemberExpression(node) {
-				var isIdentifier = node.object.type === 'Identifier';
-				var hasKeywords = node.object.name ==='module' && node.property.name === 'exports';
-				var isException = options.exceptions && options.exceptions.some(function (glob) {
-					return minimatch(fileName, glob);
+			'Program:exit': function (node) {
+				var hasImports = false;
+				var exportStatements = [];
+				var hasDefaultExport = false;
+				node.body.forEach(function (statement) {
+					if (statement.type === 'ImportDeclaration') {
+						hasImports = true;
+					} else if (EXPORT_TYPES.indexOf(statement.type) >= 0) {
+						exportStatements.push(statement);
+						hasDefaultExport = hasDefaultExport || statement.type === 'ExportDefaultDeclaration';
+					}
 				});
 
-				if (isIdentifier && hasKeywords && usesES6Imports && !isException) {
-					context.report({
-						node: node,
-						message: 'No CommonJS exports when using ES6 import statements'
+				var scope = sourceCode.getScope ? sourceCode.getScope(node) : context.getScope();
+				var exportNodes = getGlobalReferences(scope, ['module', 'exports']).map(getExportNode).filter(Boolean);
+				var requireNodes = getGlobalReferences(scope, ['require']).map(getRequireNode).filter(Boolean);
+
+				if (hasImports) {
+					reportExports(exportNodes, hasDefaultExport);
+				}
+				if (hasImports || exportStatements.length) {
+					reportRequires(requireNodes);
+				}
+				if (exportNodes.length) {
+					exportStatements.forEach(function (statement) {
+						context.report({
+							node: statement,
+							messageId: 'moduleExport'
+						});
 					});
 				}
 			}
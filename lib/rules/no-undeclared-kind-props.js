@@ -0,0 +1,161 @@
+/**
+ * Prevent props which are not declared in propTypes from being used in an Enact kind component definition
+ */
+
+'use strict';
+
+var Components = require('../util/Components');
+var astUtil = require('../util/ast');
+var kindUtil = require('../util/kind');
+
+// Props added by the kind() styles property
+var STYLES_PROPS = ['className', 'css', 'styler'];
+
+// ------------------------------------------------------------------------------
+// Rule Definition
+// ------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'Prevent undeclared props in an Enact component definition',
+      category: 'Best Practices',
+      recommended: false
+    },
+
+    messages: {
+      undeclaredProp: '\'{{name}}\' is missing in propTypes',
+      undeclaredDefaultProp: 'Default prop \'{{name}}\' has no matching propTypes entry'
+    },
+
+    schema: [{
+      type: 'object',
+      properties: {
+        ignore: {
+          type: 'array',
+          items: {
+            type: 'string'
+          },
+          uniqueItems: true
+        }
+      },
+      additionalProperties: false
+    }]
+  },
+
+  create: Components.detect(function(context, components, utils) {
+
+    var sourceCode = context.getSourceCode();
+    var config = context.options[0] || {};
+    var ignore = config.ignore || [];
+
+    /**
+     * Gets the names of the props available to the functions of a kind() definition
+     * @param {ASTNode} node The kind() definition ObjectExpression.
+     * @returns {Object|null} The set of declared prop names, or null if they cannot be determined.
+     */
+    function getDeclaredProps(node) {
+      var propTypes = kindUtil.getPropTypeNames(node);
+      if (!propTypes) {
+        return null;
+      }
+
+      var declared = Object.create(null);
+      var entries = kindUtil.getEntries(node, 'computed').concat(kindUtil.getEntries(node, 'handlers'));
+      propTypes.concat(entries.map(kindUtil.getKeyName)).forEach(function(name) {
+        declared[name] = true;
+      });
+      if (kindUtil.findProperty(node, 'styles')) {
+        STYLES_PROPS.forEach(function(name) {
+          declared[name] = true;
+        });
+      }
+      ignore.forEach(function(name) {
+        declared[name] = true;
+      });
+      return declared;
+    }
+
+    /**
+     * Reports default props which are not declared in propTypes
+     * @param {ASTNode} node The kind() definition ObjectExpression.
+     */
+    function checkDefaultProps(node) {
+      var declared = kindUtil.getPropTypeNames(node);
+      if (!declared) {
+        return;
+      }
+      kindUtil.getEntries(node, 'defaultProps').forEach(function(entry) {
+        var name = kindUtil.getKeyName(entry);
+        if (declared.indexOf(name) < 0) {
+          context.report({
+            node: entry.key,
+            messageId: 'undeclaredDefaultProp',
+            data: {
+              name: name
+            }
+          });
+        }
+      });
+    }
+
+    /**
+     * Reports props read by the functions of a kind() definition which are not declared
+     * @param {ASTNode} node The kind() definition ObjectExpression.
+     */
+    function checkUsedProps(node) {
+      var declared = getDeclaredProps(node);
+      if (!declared) {
+        return;
+      }
+
+      var render = kindUtil.findProperty(node, 'render');
+      var consumers = (render ? [{fn: render.value, index: 0}] : [])
+        .concat(kindUtil.getEntries(node, 'computed').map(function(entry) {
+          return {fn: entry.value, index: 0};
+        }))
+        .concat(kindUtil.getEntries(node, 'handlers').map(function(entry) {
+          return {fn: entry.value, index: 1};
+        }));
+
+      consumers.forEach(function(consumer) {
+        if (!astUtil.isFunction(consumer.fn)) {
+          return;
+        }
+        var used = kindUtil.getUsedProps(sourceCode, consumer.fn, consumer.index).props;
+        Object.keys(used).forEach(function(name) {
+          if (declared[name]) {
+            return;
+          }
+          context.report({
+            node: used[name],
+            messageId: 'undeclaredProp',
+            data: {
+              name: name
+            }
+          });
+        });
+      });
+    }
+
+    // --------------------------------------------------------------------------
+    // Public
+    // --------------------------------------------------------------------------
+
+    return {
+      ObjectExpression: function(node) {
+        if (!utils.isKindComponent(node)) {
+          return;
+        }
+        // Props may be declared or provided by the spread object
+        if (node.properties.some(function(property) {
+          return property.type !== 'Property';
+        })) {
+          return;
+        }
+        checkUsedProps(node);
+        checkDefaultProps(node);
+      }
+    };
+  })
+};
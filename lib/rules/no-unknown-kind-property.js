@@ -0,0 +1,130 @@
+/**
+ * Prevent unknown properties in an Enact kind component definition
+ */
+
+'use strict';
+
+var Components = require('../util/Components');
+var kindUtil = require('../util/kind');
+
+// The maximum edit distance for a property to be suggested as a replacement
+var MAX_SUGGESTION_DISTANCE = 2;
+
+/**
+ * Calculates the Levenshtein edit distance between two strings
+ * @param {String} a The first string.
+ * @param {String} b The second string.
+ * @returns {Number} The number of single character edits needed to change one string into the other.
+ */
+function editDistance(a, b) {
+  var previous = [];
+  var current;
+  var i;
+  var j;
+
+  for (j = 0; j <= b.length; j++) {
+    previous[j] = j;
+  }
+  for (i = 1; i <= a.length; i++) {
+    current = [i];
+    for (j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// ------------------------------------------------------------------------------
+// Rule Definition
+// ------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'Prevent unknown properties in an Enact component definition',
+      category: 'Possible Errors',
+      recommended: false
+    },
+
+    hasSuggestions: true,
+
+    messages: {
+      unknownProperty: 'Unknown kind property \'{{name}}\'',
+      unknownPropertySuggestion: 'Unknown kind property \'{{name}}\'. Did you mean \'{{suggestion}}\'?',
+      replaceProperty: 'Replace \'{{name}}\' with \'{{suggestion}}\''
+    },
+
+    schema: []
+  },
+
+  create: Components.detect(function(context, components, utils) {
+
+    var settings = context.settings.enact || {};
+    var knownProperties = kindUtil.KIND_PROPERTIES.concat(settings.kindProperties || []);
+
+    /**
+     * Finds the closest known property to an unknown property name
+     * @param {String} name The unknown property name.
+     * @returns {String|null} The closest known property, or null if none are close enough.
+     */
+    function findSuggestion(name) {
+      var suggestion = null;
+      var minDistance = MAX_SUGGESTION_DISTANCE + 1;
+      knownProperties.forEach(function(known) {
+        // Differences in case alone are counted as a single edit
+        var distance = Math.max(editDistance(name.toLowerCase(), known.toLowerCase()), 1);
+        if (distance < minDistance) {
+          minDistance = distance;
+          suggestion = known;
+        }
+      });
+      return suggestion;
+    }
+
+    /**
+     * Reports unknown properties of a kind() definition
+     * @param {ASTNode} node The kind() definition ObjectExpression.
+     */
+    function checkProperties(node) {
+      node.properties.forEach(function(property) {
+        var name = kindUtil.getKeyName(property);
+        if (name === null || knownProperties.indexOf(name) >= 0) {
+          return;
+        }
+        var suggestion = findSuggestion(name);
+        var data = {
+          name: name,
+          suggestion: suggestion
+        };
+        context.report({
+          node: property.key,
+          messageId: suggestion ? 'unknownPropertySuggestion' : 'unknownProperty',
+          data: data,
+          suggest: suggestion ? [{
+            messageId: 'replaceProperty',
+            data: data,
+            fix: kindUtil.getRenameFixer(property, suggestion)
+          }] : []
+        });
+      });
+    }
+
+    // --------------------------------------------------------------------------
+    // Public
+    // --------------------------------------------------------------------------
+
+    return {
+      ObjectExpression: function(node) {
+        if (!utils.isKindComponent(node)) {
+          return;
+        }
+        checkProperties(node);
+      }
+    };
+  })
+};
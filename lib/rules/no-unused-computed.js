@@ -0,0 +1,114 @@
+/**
+ * Prevent computed and handlers entries which are never used in an Enact kind component definition
+ */
+
+'use strict';
+
+var Components = require('../util/Components');
+var astUtil = require('../util/ast');
+var kindUtil = require('../util/kind');
+
+// ------------------------------------------------------------------------------
+// Rule Definition
+// ------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'Prevent unused computed and handlers entries in an Enact component definition',
+      category: 'Best Practices',
+      recommended: false
+    },
+
+    messages: {
+      unusedComputed: 'Computed property \'{{name}}\' is never used',
+      unusedHandler: 'Handler \'{{name}}\' is never used'
+    },
+
+    schema: []
+  },
+
+  create: Components.detect(function(context, components, utils) {
+
+    var sourceCode = context.getSourceCode();
+
+    /**
+     * Reports computed and handlers entries of a kind() definition which are never read
+     * @param {ASTNode} node The kind() definition ObjectExpression.
+     */
+    function checkKind(node) {
+      var render = kindUtil.findProperty(node, 'render');
+      if (!render || !astUtil.isFunction(render.value) || node.properties.some(function(property) {
+        return property.type !== 'Property';
+      })) {
+        return;
+      }
+      var computed = kindUtil.getEntries(node, 'computed');
+      var handlers = kindUtil.getEntries(node, 'handlers');
+      if (computed.length === 0 && handlers.length === 0) {
+        return;
+      }
+
+      var consumers = [{fn: render.value}].concat(computed.map(function(entry) {
+        return {fn: entry.value, self: kindUtil.getKeyName(entry)};
+      }));
+      var usage = consumers.filter(function(consumer) {
+        return astUtil.isFunction(consumer.fn);
+      }).map(function(consumer) {
+        var used = kindUtil.getUsedProps(sourceCode, consumer.fn, 0);
+        if (consumer.self) {
+          delete used.props[consumer.self];
+        }
+        return used;
+      });
+      var isComplete = usage.every(function(used) {
+        return used.complete;
+      });
+      if (!isComplete) {
+        return;
+      }
+
+      /**
+       * Reports an entry if it is not used by any consumer
+       * @param {String} messageId The message to report.
+       * @returns {Function} The entry visitor.
+       */
+      function reportUnused(messageId) {
+        return function(entry) {
+          var name = kindUtil.getKeyName(entry);
+          var isUsed = usage.some(function(used) {
+            return used.props[name];
+          });
+          if (!isUsed) {
+            context.report({
+              node: entry.key,
+              messageId: messageId,
+              data: {
+                name: name
+              }
+            });
+          }
+        };
+      }
+
+      computed.forEach(reportUnused('unusedComputed'));
+      handlers.forEach(reportUnused('unusedHandler'));
+    }
+
+    // --------------------------------------------------------------------------
+    // Public
+    // --------------------------------------------------------------------------
+
+    return {
+      'Program:exit': function() {
+        var list = components.list();
+        for (var component in list) {
+          if (!list.hasOwnProperty(component) || !utils.isKindComponent(list[component].node)) {
+            continue;
+          }
+          checkKind(list[component].node);
+        }
+      }
+    };
+  })
+};
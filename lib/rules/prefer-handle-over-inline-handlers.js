@@ -0,0 +1,374 @@
+/**
+ * Prefer kind handlers over inline event handler functions in an Enact kind render function
+ */
+
+'use strict';
+
+var Components = require('../util/Components');
+var kindUtil = require('../util/kind');
+
+var EVENT_PROP_REGEX = /^on[A-Z]/;
+
+// ------------------------------------------------------------------------------
+// Rule Definition
+// ------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'Prefer kind handlers over inline event handler functions in an Enact component render function',
+      category: 'Best Practices',
+      recommended: false
+    },
+
+    hasSuggestions: true,
+
+    messages: {
+      inlineHandler: 'Inline {{name}} handler is recreated on every render; move it to the kind handlers',
+      moveToHandlers: 'Move the {{name}} handler to handlers.{{handler}}'
+    },
+
+    schema: []
+  },
+
+  create: Components.detect(function(context, components, utils) {
+
+    var sourceCode = context.getSourceCode();
+
+    /**
+     * Finds the render function of a kind() definition containing a node
+     * @param {ASTNode} node The AST node.
+     * @returns {ASTNode|null} The render function, or null if not within a kind render function.
+     */
+    function findKindRender(node) {
+      var ancestors = sourceCode.getAncestors(node);
+      for (var i = ancestors.length - 1; i >= 0; i--) {
+        var property = ancestors[i].parent;
+        if (
+          /Function/.test(ancestors[i].type) &&
+          property && property.type === 'Property' && property.value === ancestors[i] &&
+          kindUtil.getKeyName(property) === 'render' &&
+          utils.isKindComponent(property.parent)
+        ) {
+          return ancestors[i];
+        }
+      }
+      return null;
+    }
+
+    /**
+     * Finds the Property of a render props pattern declaring a variable
+     * @param {ASTNode} pattern The ObjectPattern node.
+     * @param {String} name The variable name.
+     * @returns {ASTNode|null} The Property node, or null if declared by a rest element or nested pattern.
+     */
+    function findPatternProperty(pattern, name) {
+      return pattern.properties.find(function(property) {
+        if (property.type !== 'Property') {
+          return false;
+        }
+        var value = property.value.type === 'AssignmentPattern' ? property.value.left : property.value;
+        return value.type === 'Identifier' && value.name === name;
+      }) || null;
+    }
+
+    /**
+     * Gets the source of the props parameter for a handler moved from render
+     * @param {ASTNode} fn The inline handler function.
+     * @param {ASTNode} render The render function.
+     * @param {String[]} computed The names of the kind computed properties.
+     * @returns {String|null|undefined} The parameter source, undefined if props are not used, or
+     *  null if the handler depends on render scope which is not available to handlers.
+     */
+    function getPropsParam(fn, render, computed) {
+      var scope = sourceCode.getScope(fn);
+      var renderParam = render.params[0];
+      var propsParam;
+      var names = [];
+
+      for (var i = 0; i < scope.through.length; i++) {
+        var variable = scope.through[i].resolved;
+        if (!variable || variable.scope.type === 'module' || variable.scope.type === 'global') {
+          continue;
+        }
+        if (variable.scope.block !== render || variable.defs[0].type !== 'Parameter') {
+          return null;
+        }
+        if (renderParam.type === 'Identifier') {
+          var reference = scope.through[i].identifier;
+          var parent = reference.parent;
+          if (
+            parent.type !== 'MemberExpression' || parent.object !== reference || parent.computed ||
+            computed.indexOf(parent.property.name) >= 0
+          ) {
+            return null;
+          }
+          propsParam = renderParam.name;
+        } else if (renderParam.type === 'ObjectPattern') {
+          var property = findPatternProperty(renderParam, variable.name);
+          if (!property || computed.indexOf(kindUtil.getKeyName(property)) >= 0) {
+            return null;
+          }
+          if (names.indexOf(sourceCode.getText(property)) < 0) {
+            names.push(sourceCode.getText(property));
+          }
+          propsParam = '{' + names.join(', ') + '}';
+        } else {
+          return null;
+        }
+      }
+      return propsParam;
+    }
+
+    /**
+     * Checks if a name can be used for a new handler and bound in render without changing behavior
+     * @param {String} name The handler name.
+     * @param {ASTNode} fn The inline handler function.
+     * @param {ASTNode} render The render function.
+     * @returns {Boolean} True if the name may be used, false if not.
+     */
+    function isNameAvailable(name, fn, render) {
+      var variable = sourceCode.getDeclaredVariables(render).find(function(declared) {
+        return declared.name === name;
+      });
+      if (!variable) {
+        return !sourceCode.getScope(fn).through.some(function(reference) {
+          return reference.identifier.name === name;
+        });
+      }
+      // An existing binding may only be used by the inline handler being moved
+      return variable.references.every(function(reference) {
+        return reference.identifier.range[0] >= fn.range[0] && reference.identifier.range[1] <= fn.range[1];
+      });
+    }
+
+    /**
+     * Checks if all props may be forwarded from render, e.g. by spreading the props object or a
+     * rest element, in which case a new handler would be passed on in place of an incoming prop
+     * @param {ASTNode} render The render function.
+     * @returns {Boolean} True if the props object or a rest element is used other than by a
+     *  member access, false if not.
+     */
+    function isPropsForwarded(render) {
+      var renderParam = render.params[0];
+      var target = renderParam;
+      if (renderParam && renderParam.type === 'ObjectPattern') {
+        var rest = renderParam.properties.find(function(property) {
+          return property.type === 'RestElement';
+        });
+        target = rest && rest.argument;
+      }
+      if (!target || target.type !== 'Identifier') {
+        return Boolean(target);
+      }
+      var variable = sourceCode.getDeclaredVariables(render).find(function(declared) {
+        return declared.name === target.name;
+      });
+      return variable.references.some(function(reference) {
+        var parent = reference.identifier.parent;
+        return renderParam !== target ||
+          parent.type !== 'MemberExpression' || parent.object !== reference.identifier || parent.computed;
+      });
+    }
+
+    /**
+     * Generates a name for a new handler which cannot be an incoming prop or collide with an existing
+     * handler, computed property or variable of render
+     * @param {String} attribute The name of the event prop.
+     * @param {ASTNode} fn The inline handler function.
+     * @param {ASTNode} render The render function.
+     * @param {ASTNode} kind The kind() definition ObjectExpression.
+     * @returns {String|null} The handler name, or null if the props of the kind cannot be determined.
+     */
+    function getHandlerName(attribute, fn, render, kind) {
+      var propTypes = kindUtil.getPropTypeNames(kind);
+      if (!propTypes) {
+        return null;
+      }
+      var used = propTypes.concat(
+        kindUtil.getEntries(kind, 'defaultProps').map(kindUtil.getKeyName),
+        kindUtil.getEntries(kind, 'handlers').map(kindUtil.getKeyName),
+        kindUtil.getEntries(kind, 'computed').map(kindUtil.getKeyName)
+      );
+      var renderParam = render.params[0];
+      if (renderParam && renderParam.type === 'Identifier') {
+        // Props read from the props object in render
+        sourceCode.getDeclaredVariables(render).forEach(function(variable) {
+          if (variable.name !== renderParam.name) {
+            return;
+          }
+          variable.references.forEach(function(reference) {
+            used.push(reference.identifier.parent.property.name);
+          });
+        });
+      }
+      var base = 'handle' + attribute.slice(2);
+      var name = base;
+      for (var n = 2; used.indexOf(name) >= 0 || !isNameAvailable(name, fn, render); n++) {
+        name = base + n;
+      }
+      return name;
+    }
+
+    /**
+     * Creates the source for a handler function moved from an inline handler
+     * @param {ASTNode} fn The inline handler function.
+     * @param {String|undefined} propsParam The source of the props parameter.
+     * @returns {String} The handler source.
+     */
+    function getHandlerText(fn, propsParam) {
+      var params = fn.params.map(function(param) {
+        return sourceCode.getText(param);
+      });
+      if (propsParam) {
+        params[0] = params[0] || 'ev';
+        params[1] = propsParam;
+      }
+      var body = sourceCode.getText(fn.body);
+      if (fn.body.type === 'ObjectExpression') {
+        body = '(' + body + ')';
+      }
+      return (fn.async ? 'async ' : '') + '(' + params.join(', ') + ') => ' + body;
+    }
+
+    /**
+     * Gets the indentation of the line a node starts on
+     * @param {ASTNode} node The AST node.
+     * @returns {String} The leading whitespace.
+     */
+    function getIndent(node) {
+      return /^\s*/.exec(sourceCode.lines[node.loc.start.line - 1])[0];
+    }
+
+    /**
+     * Creates the fixes adding a handler to a kind() definition
+     * @param {Object} fixer The rule fixer.
+     * @param {ASTNode} kind The kind() definition ObjectExpression.
+     * @param {ASTNode} render The render Property.
+     * @param {String} entry The handler entry source.
+     * @returns {Object} The fix.
+     */
+    function addHandler(fixer, kind, render, entry) {
+      var handlers = kindUtil.findProperty(kind, 'handlers');
+      var isMultiline = kind.loc.start.line !== render.loc.start.line;
+      var indent = getIndent(render);
+      var unit = indent.indexOf('\t') >= 0 ? '\t' : '  ';
+
+      if (handlers) {
+        var entries = handlers.value.properties;
+        if (entries.length === 0) {
+          return fixer.replaceText(handlers.value, '{' + entry + '}');
+        }
+        var last = entries[entries.length - 1];
+        var separator = last.loc.start.line === handlers.loc.start.line ? ', ' : ',\n' + getIndent(last);
+        return fixer.insertTextAfter(last, separator + entry);
+      }
+      if (isMultiline) {
+        return fixer.insertTextBefore(render, 'handlers: {\n' + indent + unit + entry + '\n' + indent + '},\n' + indent);
+      }
+      return fixer.insertTextBefore(render, 'handlers: {' + entry + '}, ');
+    }
+
+    /**
+     * Creates the suggestion fixer moving an inline handler into the kind handlers
+     * @param {ASTNode} attribute The JSXAttribute.
+     * @param {ASTNode} render The render function.
+     * @returns {Object|null} The handler name and fixer function, or null if the handler cannot be moved.
+     */
+    function getMove(attribute, render) {
+      var fn = attribute.value.expression;
+      var renderProperty = render.parent;
+      var kind = renderProperty.parent;
+      var renderParam = render.params[0];
+
+      if (
+        fn.type === 'FunctionExpression' ||
+        fn.params.length > 1 ||
+        kind.properties.some(function(property) {
+          return property.type !== 'Property';
+        })
+      ) {
+        return null;
+      }
+      var handlers = kindUtil.findProperty(kind, 'handlers');
+      if ((handlers && handlers.value.type !== 'ObjectExpression') || isPropsForwarded(render)) {
+        return null;
+      }
+      var computed = kindUtil.getEntries(kind, 'computed').map(kindUtil.getKeyName);
+      var propsParam = getPropsParam(fn, render, computed);
+      var name = propsParam === null ? null : getHandlerName(attribute.name.name, fn, render, kind);
+      if (!name) {
+        return null;
+      }
+
+      var fix = function(fixer) {
+        var fixes = [addHandler(fixer, kind, renderProperty, name + ': ' + getHandlerText(fn, propsParam))];
+        if (!renderParam) {
+          var openParen = sourceCode.getFirstToken(render, function(token) {
+            return token.value === '(';
+          });
+          fixes.push(fixer.replaceText(fn, name));
+          fixes.push(fixer.insertTextAfter(openParen, '{' + name + '}'));
+          return fixes;
+        }
+        if (renderParam.type === 'Identifier') {
+          fixes.push(fixer.replaceText(fn, renderParam.name + '.' + name));
+          return fixes;
+        }
+        fixes.push(fixer.replaceText(fn, name));
+        if (!findPatternProperty(renderParam, name)) {
+          var properties = renderParam.properties;
+          var rest = properties.find(function(property) {
+            return property.type === 'RestElement';
+          });
+          if (rest) {
+            fixes.push(fixer.insertTextBefore(rest, name + ', '));
+          } else if (properties.length) {
+            fixes.push(fixer.insertTextAfter(properties[properties.length - 1], ', ' + name));
+          } else {
+            fixes.push(fixer.replaceText(renderParam, '{' + name + '}'));
+          }
+        }
+        return fixes;
+      };
+      return {name: name, fix: fix};
+    }
+
+    // --------------------------------------------------------------------------
+    // Public
+    // --------------------------------------------------------------------------
+
+    return {
+      JSXAttribute: function(node) {
+        if (
+          node.name.type !== 'JSXIdentifier' ||
+          !EVENT_PROP_REGEX.test(node.name.name) ||
+          !node.value ||
+          node.value.type !== 'JSXExpressionContainer' ||
+          !/^(Arrow)?FunctionExpression$/.test(node.value.expression.type)
+        ) {
+          return;
+        }
+        var render = findKindRender(node);
+        if (!render) {
+          return;
+        }
+        var move = getMove(node, render);
+        var data = {name: node.name.name};
+        context.report({
+          node: node.value.expression,
+          messageId: 'inlineHandler',
+          data: data,
+          suggest: move ? [{
+            messageId: 'moveToHandlers',
+            data: {
+              name: node.name.name,
+              handler: move.name
+            },
+            fix: move.fix
+          }] : []
+        });
+      }
+    };
+  })
+};
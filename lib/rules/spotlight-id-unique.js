@@ -0,0 +1,235 @@
+/**
+ * Prevent duplicate Spotlight ids on spottable components and containers
+ */
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var kindUtil = require('../util/kind');
+
+var CONTAINER_DECORATOR = 'SpotlightContainerDecorator';
+var CONTAINER_MODULE = '@enact/spotlight/SpotlightContainerDecorator';
+var ID_ATTRIBUTES = ['spotlightId', 'data-spotlight-id'];
+
+/**
+ * Reads the Spotlight ids recorded in a cache file
+ * @param {String} file The absolute path to the cache file.
+ * @returns {Object} The ids by the path of the file using them, relative to the cache file.
+ */
+function readCache(file) {
+  try {
+    var cache = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return cache && typeof cache === 'object' ? cache : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+/**
+ * Writes a cache file, if its content has changed. The content is written to a temporary file
+ * which is renamed over the cache file, so other ESLint processes never read a partial file.
+ * @param {String} file The absolute path to the cache file.
+ * @param {Object} cache The ids by the path of the file using them.
+ */
+function writeCache(file, cache) {
+  var sorted = {};
+  Object.keys(cache).sort().forEach(function(key) {
+    sorted[key] = cache[key];
+  });
+  var content = JSON.stringify(sorted, null, 2) + '\n';
+  try {
+    if (fs.readFileSync(file, 'utf8') === content) {
+      return;
+    }
+  } catch (err) {
+    fs.mkdirSync(path.dirname(file), {recursive: true});
+  }
+  var temp = file + '.' + process.pid + '.' + Date.now() + '.tmp';
+  fs.writeFileSync(temp, content);
+  fs.renameSync(temp, file);
+}
+
+/**
+ * Records the Spotlight ids used by a file in a cache file, merging them into the entries recorded
+ * by other files since the cache file was read
+ * @param {String} file The absolute path to the cache file.
+ * @param {String} key The path of the linted file, relative to the cache file.
+ * @param {String[]} used The ids used by the linted file.
+ * @param {String[]} removed The paths of the removed files to drop from the cache.
+ */
+function updateCache(file, key, used, removed) {
+  var cache = readCache(file);
+  removed.forEach(function(other) {
+    delete cache[other];
+  });
+  if (used.length) {
+    cache[key] = used;
+  } else {
+    delete cache[key];
+  }
+  writeCache(file, cache);
+}
+
+// ------------------------------------------------------------------------------
+// Rule Definition
+// ------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'Prevent duplicate Spotlight ids on spottable components and containers',
+      category: 'Possible Errors',
+      recommended: false
+    },
+
+    messages: {
+      duplicateId: 'Spotlight id \'{{id}}\' is already used on line {{line}}',
+      duplicateIdInFile: 'Spotlight id \'{{id}}\' is already used in \'{{file}}\''
+    },
+
+    schema: [{
+      type: 'object',
+      properties: {
+        cacheFile: {
+          type: 'string'
+        }
+      },
+      additionalProperties: false
+    }]
+  },
+
+  create: function(context) {
+
+    var config = context.options[0] || {};
+    var filename = context.filename || context.getFilename();
+    var cwd = context.cwd || (context.getCwd ? context.getCwd() : process.cwd());
+    var cacheFile = config.cacheFile ? path.resolve(cwd, config.cacheFile) : null;
+
+    // Local names of SpotlightContainerDecorator
+    var containerNames = [CONTAINER_DECORATOR];
+    // The first node using each id
+    var ids = Object.create(null);
+
+    /**
+     * Gets the static string value of an expression
+     * @param {ASTNode} node The expression node.
+     * @returns {String|null} The string value, or null if not static.
+     */
+    function getStaticString(node) {
+      if (node.type === 'Literal' && typeof node.value === 'string') {
+        return node.value;
+      }
+      if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+        return node.quasis[0].value.cooked;
+      }
+      return null;
+    }
+
+    /**
+     * Records a Spotlight id, reporting it if already used in this file
+     * @param {ASTNode} value The id value node.
+     */
+    function addId(value) {
+      var node = value.type === 'JSXExpressionContainer' ? value.expression : value;
+      var id = getStaticString(node);
+      if (!id) {
+        return;
+      }
+      var first = ids[id];
+      if (!first) {
+        ids[id] = node;
+        return;
+      }
+      context.report({
+        node: node,
+        messageId: 'duplicateId',
+        data: {
+          id: id,
+          line: first.loc.start.line
+        }
+      });
+    }
+
+    /**
+     * Reports ids used by other files recorded in the cache file, and records the ids of this file
+     */
+    function checkCache() {
+      var cache = readCache(cacheFile);
+      var root = path.dirname(cacheFile);
+      var key = path.relative(root, filename).split(path.sep).join('/');
+      var removed = [];
+
+      Object.keys(cache).forEach(function(other) {
+        if (other === key || !Array.isArray(cache[other])) {
+          return;
+        }
+        var duplicates = cache[other].filter(function(id) {
+          return ids[id];
+        });
+        // Only files sharing an id are checked for removal, which is rare, rather than every recorded file
+        if (!duplicates.length) {
+          return;
+        }
+        if (!fs.existsSync(path.resolve(root, other))) {
+          removed.push(other);
+          return;
+        }
+        duplicates.forEach(function(id) {
+          context.report({
+            node: ids[id],
+            messageId: 'duplicateIdInFile',
+            data: {
+              id: id,
+              file: other
+            }
+          });
+        });
+      });
+
+      updateCache(cacheFile, key, Object.keys(ids).sort(), removed);
+    }
+
+    // --------------------------------------------------------------------------
+    // Public
+    // --------------------------------------------------------------------------
+
+    return {
+      ImportDeclaration: function(node) {
+        node.specifiers.forEach(function(specifier) {
+          var name = specifier.type === 'ImportDefaultSpecifier' ? 'default' : specifier.imported && specifier.imported.name;
+          if (node.source.value === CONTAINER_MODULE && (name === 'default' || name === CONTAINER_DECORATOR)) {
+            containerNames.push(specifier.local.name);
+          }
+        });
+      },
+
+      JSXAttribute: function(node) {
+        if (node.name.type === 'JSXIdentifier' && ID_ATTRIBUTES.indexOf(node.name.name) >= 0 && node.value) {
+          addId(node.value);
+        }
+      },
+
+      CallExpression: function(node) {
+        var config = node.arguments[0];
+        if (
+          node.callee.type !== 'Identifier' ||
+          containerNames.indexOf(node.callee.name) < 0 ||
+          !config || config.type !== 'ObjectExpression'
+        ) {
+          return;
+        }
+        var spotlightId = kindUtil.findProperty(config, 'spotlightId');
+        if (spotlightId) {
+          addId(spotlightId.value);
+        }
+      },
+
+      'Program:exit': function() {
+        if (cacheFile && filename && filename[0] !== '<') {
+          checkCache();
+        }
+      }
+    };
+  }
+};
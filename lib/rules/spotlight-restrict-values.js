@@ -0,0 +1,265 @@
+/**
+ * Validate the literal values of Spotlight container configurations
+ */
+
+'use strict';
+
+var kindUtil = require('../util/kind');
+
+var SPOTLIGHT_MODULE_REGEX = /^@enact\/spotlight(\/|$)/;
+var CONTAINER_MODULE = '@enact/spotlight/SpotlightContainerDecorator';
+
+var VALUES = {
+  restrict: ['none', 'self-first', 'self-only'],
+  enterTo: ['last-focused', 'default-element']
+};
+var DIRECTIONS = ['left', 'right', 'up', 'down'];
+
+// The container config options supported by Spotlight.add() and Spotlight.set()
+var CONFIG_KEYS = [
+  'continue5WayHold',
+  'defaultElement',
+  'enterTo',
+  'id',
+  'lastFocusedElement',
+  'lastFocusedIndex',
+  'lastFocusedKey',
+  'leaveFor',
+  'navigableFilter',
+  'obliviousTo',
+  'overflow',
+  'partition',
+  'rememberSource',
+  'restrict',
+  'selector',
+  'selectorDisabled',
+  'straightMultiplier',
+  'straightOnly',
+  'tabIndexIgnoreList'
+];
+
+// The container props corresponding to config options
+var PROPS = {
+  spotlightRestrict: 'restrict',
+  enterTo: 'enterTo',
+  leaveFor: 'leaveFor'
+};
+
+// ------------------------------------------------------------------------------
+// Rule Definition
+// ------------------------------------------------------------------------------
+
+module.exports = {
+  meta: {
+    docs: {
+      description: 'Validate the literal values of Spotlight container configurations',
+      category: 'Possible Errors',
+      recommended: false
+    },
+
+    messages: {
+      invalidValue: '\'{{value}}\' is not a valid {{name}} value; expected one of {{expected}}',
+      leaveForNotObject: '{{name}} must be an object of directions',
+      invalidDirection: '\'{{direction}}\' is not a valid {{name}} direction; expected one of {{expected}}',
+      unknownConfigKey: '\'{{name}}\' is not a Spotlight container config option'
+    },
+
+    schema: [{
+      type: 'object',
+      properties: {
+        configKeys: {
+          type: 'array',
+          items: {
+            type: 'string'
+          },
+          uniqueItems: true
+        }
+      },
+      additionalProperties: false
+    }]
+  },
+
+  create: function(context) {
+
+    var config = context.options[0] || {};
+    var configKeys = CONFIG_KEYS.concat(config.configKeys || []);
+
+    var hasSpotlightImport = false;
+    // Local names of the Spotlight object
+    var spotlightNames = [];
+    // Local names of SpotlightContainerDecorator
+    var containerNames = [];
+
+    /**
+     * Formats a list of allowed values for a report
+     * @param {String[]} values The allowed values.
+     * @returns {String} The quoted values.
+     */
+    function formatValues(values) {
+      return values.map(function(value) {
+        return '\'' + value + '\'';
+      }).join(', ');
+    }
+
+    /**
+     * Gets the static string value of an expression
+     * @param {ASTNode} node The expression node.
+     * @returns {String|null} The string value, or null if not static.
+     */
+    function getStaticString(node) {
+      if (node.type === 'Literal' && typeof node.value === 'string') {
+        return node.value;
+      }
+      if (node.type === 'TemplateLiteral' && node.expressions.length === 0) {
+        return node.quasis[0].value.cooked;
+      }
+      return null;
+    }
+
+    /**
+     * Validates a leaveFor value
+     * @param {ASTNode} node The value node.
+     * @param {String} name The name of the prop or config option.
+     */
+    function checkLeaveFor(node, name) {
+      if (node.type === 'ObjectExpression') {
+        node.properties.forEach(function(property) {
+          var direction = kindUtil.getKeyName(property);
+          if (direction !== null && DIRECTIONS.indexOf(direction) < 0) {
+            context.report({
+              node: property.key,
+              messageId: 'invalidDirection',
+              data: {
+                direction: direction,
+                name: name,
+                expected: formatValues(DIRECTIONS)
+              }
+            });
+          }
+        });
+      } else if (node.type === 'Literal' || node.type === 'TemplateLiteral' || node.type === 'ArrayExpression') {
+        if (node.type === 'Literal' && node.value === null) {
+          return;
+        }
+        context.report({
+          node: node,
+          messageId: 'leaveForNotObject',
+          data: {
+            name: name
+          }
+        });
+      }
+    }
+
+    /**
+     * Validates the value of a config option
+     * @param {ASTNode} node The value node.
+     * @param {String} option The config option.
+     * @param {String} name The name of the prop or config option.
+     */
+    function checkValue(node, option, name) {
+      if (option === 'leaveFor') {
+        checkLeaveFor(node, name);
+        return;
+      }
+      var value = getStaticString(node);
+      if (value && VALUES[option].indexOf(value) < 0) {
+        context.report({
+          node: node,
+          messageId: 'invalidValue',
+          data: {
+            value: value,
+            name: name,
+            expected: formatValues(VALUES[option])
+          }
+        });
+      }
+    }
+
+    /**
+     * Validates a container config object
+     * @param {ASTNode} node The config ObjectExpression.
+     * @param {Boolean} checkKeys Whether unknown config options are reported.
+     */
+    function checkConfig(node, checkKeys) {
+      node.properties.forEach(function(property) {
+        var name = kindUtil.getKeyName(property);
+        if (name === null) {
+          return;
+        }
+        if (name === 'restrict' || name === 'enterTo' || name === 'leaveFor') {
+          checkValue(property.value, name, name);
+        } else if (checkKeys && configKeys.indexOf(name) < 0) {
+          context.report({
+            node: property.key,
+            messageId: 'unknownConfigKey',
+            data: {
+              name: name
+            }
+          });
+        }
+      });
+    }
+
+    /**
+     * Checks if a callee is a Spotlight method which accepts a container config
+     * @param {ASTNode} callee The callee node.
+     * @returns {Boolean} True if the callee is Spotlight.add() or Spotlight.set(), false if not.
+     */
+    function isSpotlightConfigMethod(callee) {
+      return callee.type === 'MemberExpression' &&
+        !callee.computed &&
+        callee.object.type === 'Identifier' &&
+        spotlightNames.indexOf(callee.object.name) >= 0 &&
+        (callee.property.name === 'add' || callee.property.name === 'set');
+    }
+
+    // --------------------------------------------------------------------------
+    // Public
+    // --------------------------------------------------------------------------
+
+    return {
+      ImportDeclaration: function(node) {
+        var source = node.source.value;
+        if (typeof source !== 'string' || !SPOTLIGHT_MODULE_REGEX.test(source)) {
+          return;
+        }
+        hasSpotlightImport = true;
+        node.specifiers.forEach(function(specifier) {
+          var name = specifier.type === 'ImportDefaultSpecifier' ? 'default' : specifier.imported && specifier.imported.name;
+          if (source === '@enact/spotlight' && (name === 'default' || name === 'Spotlight')) {
+            spotlightNames.push(specifier.local.name);
+          } else if (source === CONTAINER_MODULE && (name === 'default' || name === 'SpotlightContainerDecorator')) {
+            containerNames.push(specifier.local.name);
+          }
+        });
+      },
+
+      JSXAttribute: function(node) {
+        var name = node.name.name;
+        if (
+          !hasSpotlightImport || node.name.type !== 'JSXIdentifier' || !node.value ||
+          !Object.prototype.hasOwnProperty.call(PROPS, name)
+        ) {
+          return;
+        }
+        var value = node.value.type === 'JSXExpressionContainer' ? node.value.expression : node.value;
+        checkValue(value, PROPS[name], name);
+      },
+
+      CallExpression: function(node) {
+        var callee = node.callee;
+        // Spotlight.add([id, ]config) and Spotlight.set(id, config)
+        var config = isSpotlightConfigMethod(callee) ? node.arguments[node.arguments.length - 1] : null;
+        var isContainer = callee.type === 'Identifier' && containerNames.indexOf(callee.name) >= 0;
+        if (isContainer) {
+          // SpotlightContainerDecorator(config, Wrapped) or SpotlightContainerDecorator(config)(Wrapped)
+          config = node.arguments[0];
+        }
+        if (config && config.type === 'ObjectExpression') {
+          checkConfig(config, !isContainer);
+        }
+      }
+    };
+  }
+};
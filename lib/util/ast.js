@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Utility functions for traversing the AST
+ */
+'use strict';
+
+/**
+ * Collects the returned expressions of a function, ignoring nested functions and classes
+ * @param {Object} sourceCode The current rule sourceCode.
+ * @param {ASTNode} fn The function node.
+ * @returns {ASTNode[]} The returned expressions.
+ */
+function getReturnedNodes(sourceCode, fn) {
+  if (fn.body.type !== 'BlockStatement') {
+    return [fn.body];
+  }
+  var returned = [];
+  (function walk(node) {
+    if (!node || typeof node.type !== 'string') {
+      return;
+    }
+    if (node.type === 'ReturnStatement') {
+      if (node.argument) {
+        returned.push(node.argument);
+      }
+      return;
+    }
+    if (/Function/.test(node.type) || /^Class/.test(node.type)) {
+      return;
+    }
+    sourceCode.visitorKeys[node.type].forEach(function(key) {
+      var child = node[key];
+      if (Array.isArray(child)) {
+        child.forEach(walk);
+      } else {
+        walk(child);
+      }
+    });
+  })(fn.body);
+  return returned;
+}
+
+/**
+ * Checks if the node is a function
+ * @param {ASTNode} node The AST node being checked.
+ * @returns {Boolean} True if the node is a function, false if not.
+ */
+function isFunction(node) {
+  return Boolean(node) && (
+    node.type === 'FunctionExpression' ||
+    node.type === 'ArrowFunctionExpression' ||
+    node.type === 'FunctionDeclaration'
+  );
+}
+
+/**
+ * Checks if the node is an expression which can never evaluate to a function
+ * @param {ASTNode} node The AST node being checked.
+ * @returns {Boolean} True if the node is certainly not a function, false if it is or may be.
+ */
+function isNotFunction(node) {
+  switch (node.type) {
+    case 'Identifier':
+      return node.name === 'undefined';
+    case 'Literal':
+    case 'ObjectExpression':
+    case 'ArrayExpression':
+    case 'JSXElement':
+    case 'JSXFragment':
+    case 'TemplateLiteral':
+    case 'BinaryExpression':
+    case 'UnaryExpression':
+    case 'UpdateExpression':
+      return true;
+    case 'ConditionalExpression':
+      return isNotFunction(node.consequent) && isNotFunction(node.alternate);
+    default:
+      return false;
+  }
+}
+
+module.exports = {
+  getReturnedNodes: getReturnedNodes,
+  isFunction: isFunction,
+  isNotFunction: isNotFunction
+};
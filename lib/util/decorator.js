@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Utility functions for Enact decorators applied via compose() or nested calls
+ */
+'use strict';
+
+var variableUtil = require('./variable');
+
+// Modules exporting a compose function, with the name it is exported as
+var COMPOSE_MODULES = {
+  '@enact/core/util': 'compose'
+};
+
+var DECORATOR_NAME_REGEX = /^[A-Z]/;
+
+/**
+ * Creates the record of the imports used to identify decorators
+ * @returns {Object} The local names of the compose functions and the imported names by local name.
+ */
+function createImports() {
+  return {
+    compose: [],
+    names: Object.create(null)
+  };
+}
+
+/**
+ * Records the compose functions and named imports of an import declaration
+ * @param {Object} imports The imports record.
+ * @param {ASTNode} node The ImportDeclaration.
+ */
+function addImport(imports, node) {
+  var composeName = COMPOSE_MODULES[node.source.value];
+  node.specifiers.forEach(function(specifier) {
+    var name = specifier.type === 'ImportDefaultSpecifier' ? 'default' : specifier.imported && specifier.imported.name;
+    if (composeName && name === composeName) {
+      imports.compose.push(specifier.local.name);
+    } else if (specifier.type === 'ImportSpecifier') {
+      imports.names[specifier.local.name] = name;
+    }
+  });
+}
+
+/**
+ * Checks if a call is the outermost call of a decorator stack
+ * @param {ASTNode} node The CallExpression.
+ * @returns {Boolean} True if the call is not applied to or by another call, false if it is.
+ */
+function isStackRoot(node) {
+  var parent = node.parent;
+  return parent.type !== 'CallExpression' ||
+    (parent.callee !== node && parent.arguments[parent.arguments.length - 1] !== node);
+}
+
+/**
+ * Checks if a callee is an imported compose function
+ * @param {Object} state The layer collection state.
+ * @param {ASTNode} callee The callee node.
+ * @returns {Boolean} True if the callee is compose, false if not.
+ */
+function isCompose(state, callee) {
+  return callee.type === 'Identifier' && state.imports.compose.indexOf(callee.name) >= 0;
+}
+
+/**
+ * Checks if a value is a call to an imported compose function
+ * @param {Object} state The layer collection state.
+ * @param {ASTNode|null} value The value node.
+ * @returns {Boolean} True if the value is a compose() call, false if not.
+ */
+function isComposeCall(state, value) {
+  return Boolean(value) && value.type === 'CallExpression' && isCompose(state, value.callee);
+}
+
+/**
+ * Follows an identifier to its initial value, visiting each value at most once
+ * @param {Object} state The layer collection state.
+ * @param {ASTNode} identifier The Identifier node.
+ * @returns {ASTNode|null} The initial value, or null if unknown or already followed.
+ */
+function follow(state, identifier) {
+  var value = state.resolve ? state.resolve(identifier) : null;
+  if (!value || state.visited.indexOf(value) >= 0) {
+    return null;
+  }
+  state.visited.push(value);
+  return value;
+}
+
+/**
+ * Gets the decorator name of an identifier
+ * @param {Object} state The layer collection state.
+ * @param {ASTNode} identifier The Identifier node.
+ * @returns {String} The imported name of the decorator, or the local name if not a named import.
+ */
+function getDecoratorName(state, identifier) {
+  return state.imports.names[identifier.name] || identifier.name;
+}
+
+/**
+ * Checks if an identifier may name a decorator. Functions such as `connect()` or `hot()` wrap
+ * components but are not Enact decorators, and globals such as `String` are not decorators either.
+ * @param {Object} state The layer collection state.
+ * @param {ASTNode} identifier The Identifier node.
+ * @returns {Boolean} True if the identifier may be a decorator, false if not.
+ */
+function isDecorator(state, identifier) {
+  if (!DECORATOR_NAME_REGEX.test(identifier.name)) {
+    return false;
+  }
+  var variable = variableUtil.getVariable(state.context.getSourceCode(), state.context, identifier, identifier.name);
+  return !variable || variable.scope.type !== 'global' || variable.defs.length > 0;
+}
+
+/**
+ * Gets the decorators passed to compose(), from outermost to innermost
+ * @param {Object} state The layer collection state.
+ * @param {ASTNode} call The compose CallExpression.
+ * @returns {Object[]} The decorator names and nodes.
+ */
+function getComposedLayers(state, call) {
+  var layers = [];
+  call.arguments.forEach(function(arg) {
+    var callee = arg.type === 'CallExpression' ? arg.callee : arg;
+    var value = arg.type === 'Identifier' ? follow(state, arg) : null;
+    if (isComposeCall(state, arg)) {
+      layers = layers.concat(getComposedLayers(state, arg));
+    } else if (isComposeCall(state, value)) {
+      layers = layers.concat(getComposedLayers(state, value));
+    } else if (callee.type === 'Identifier' && isDecorator(state, callee)) {
+      layers.push({name: getDecoratorName(state, callee), node: arg});
+    }
+  });
+  return layers;
+}
+
+/**
+ * Gets the decorators applied by calling an identifier
+ * @param {Object} state The layer collection state.
+ * @param {ASTNode} callee The Identifier of the decorator.
+ * @param {ASTNode} node The node applying the decorator.
+ * @returns {Object[]} The decorator names and nodes.
+ */
+function getAppliedLayers(state, callee, node) {
+  var value = follow(state, callee);
+  if (isComposeCall(state, value)) {
+    return getComposedLayers(state, value);
+  }
+  if (!isDecorator(state, callee)) {
+    return [];
+  }
+  return [{name: getDecoratorName(state, callee), node: node}];
+}
+
+/**
+ * Collects the decorators applied by an expression, from outermost to innermost
+ * @param {Object} state The layer collection state.
+ * @param {ASTNode} node The expression node.
+ * @returns {Object[]} The decorator names and nodes.
+ */
+function collectLayers(state, node) {
+  if (node.type === 'Identifier') {
+    var value = follow(state, node);
+    return value ? collectLayers(state, value) : [];
+  }
+  if (node.type !== 'CallExpression') {
+    return [];
+  }
+  var callee = node.callee;
+  if (isCompose(state, callee)) {
+    return getComposedLayers(state, node);
+  }
+  // Decorators may be applied with a config as `Decorator(config)(Wrapped)` or `compose(...)(Wrapped)`
+  if (callee.type === 'CallExpression' && node.arguments.length === 1) {
+    if (isCompose(state, callee.callee)) {
+      return getComposedLayers(state, callee).concat(collectLayers(state, node.arguments[0]));
+    }
+    if (callee.callee.type === 'Identifier') {
+      return getAppliedLayers(state, callee.callee, callee).concat(collectLayers(state, node.arguments[0]));
+    }
+    return [];
+  }
+  // Decorators may be applied as `Decorator(Wrapped)` or `Decorator(config, Wrapped)`
+  if (callee.type === 'Identifier') {
+    var wrapped = node.arguments[node.arguments.length - 1];
+    return getAppliedLayers(state, callee, node).concat(wrapped ? collectLayers(state, wrapped) : []);
+  }
+  return [];
+}
+
+/**
+ * Gets the decorators applied by an expression, from outermost to innermost
+ * @param {Object} context The current rule context.
+ * @param {Object} imports The imports record.
+ * @param {ASTNode} node The expression node.
+ * @param {Function} [resolve] Resolves an Identifier to its initial value, to follow local variables.
+ * @returns {Object[]} The decorator names and the nodes applying them.
+ */
+function getLayers(context, imports, node, resolve) {
+  return collectLayers({
+    context: context,
+    imports: imports,
+    resolve: resolve || null,
+    visited: []
+  }, node);
+}
+
+module.exports = {
+  createImports: createImports,
+  addImport: addImport,
+  isStackRoot: isStackRoot,
+  getLayers: getLayers
+};
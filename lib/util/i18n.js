@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Utility functions for Enact i18n rules
+ */
+'use strict';
+
+var I18N_MODULE = '@enact/i18n/$L';
+
+// The translation functions used when none are configured
+var DEFAULT_FUNCTIONS = ['$L'];
+
+// The props whose values are displayed to the user
+var VISIBLE_ATTRIBUTES = ['alt', 'aria-label', 'children', 'placeholder', 'title'];
+
+/**
+ * Records the local name of the translation function imported by an import declaration
+ * @param {String[]} functions The names of the translation functions.
+ * @param {ASTNode} node The ImportDeclaration.
+ */
+function addTranslationImport(functions, node) {
+  if (node.source.value !== I18N_MODULE) {
+    return;
+  }
+  node.specifiers.forEach(function(specifier) {
+    if (specifier.type === 'ImportDefaultSpecifier' && functions.indexOf(specifier.local.name) < 0) {
+      functions.push(specifier.local.name);
+    }
+  });
+}
+
+/**
+ * Checks if a node is a call to a translation function
+ * @param {String[]} functions The names of the translation functions.
+ * @param {ASTNode} node The AST node.
+ * @returns {Boolean} True if the node is a translation call, false if not.
+ */
+function isTranslationCall(functions, node) {
+  return node.type === 'CallExpression' &&
+    node.callee.type === 'Identifier' &&
+    functions.indexOf(node.callee.name) >= 0;
+}
+
+/**
+ * Checks if a node is a static string
+ * @param {ASTNode} node The AST node.
+ * @returns {Boolean} True if the node is a string literal or a template literal without expressions, false if not.
+ */
+function isStaticString(node) {
+  return (node.type === 'Literal' && typeof node.value === 'string') ||
+    (node.type === 'TemplateLiteral' && node.expressions.length === 0);
+}
+
+/**
+ * Gets the static text of a string node
+ * @param {ASTNode} node The Literal, TemplateLiteral or JSXText node.
+ * @returns {String} The text, excluding the expressions of a template literal.
+ */
+function getStringText(node) {
+  if (node.type === 'TemplateLiteral') {
+    return node.quasis.map(function(quasi) {
+      return quasi.value.cooked;
+    }).join('');
+  }
+  return node.value;
+}
+
+/**
+ * Collects the strings an expression rendered in JSX may evaluate to, excluding translated strings
+ * @param {ASTNode} node The expression node.
+ * @returns {ASTNode[]} The Literal and TemplateLiteral nodes.
+ */
+function getRenderedStrings(node) {
+  switch (node.type) {
+    case 'Literal':
+      return typeof node.value === 'string' ? [node] : [];
+    case 'TemplateLiteral':
+      return [node];
+    case 'ConditionalExpression':
+      return getRenderedStrings(node.consequent).concat(getRenderedStrings(node.alternate));
+    case 'LogicalExpression':
+      return getRenderedStrings(node.left).concat(getRenderedStrings(node.right));
+    case 'BinaryExpression':
+      return node.operator === '+' ? getRenderedStrings(node.left).concat(getRenderedStrings(node.right)) : [];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Creates the JSX visitors reporting the strings displayed to the user
+ * @param {String[]} attributes The names of the props whose values are displayed to the user.
+ * @param {Function} check Called with each JSXText, Literal and TemplateLiteral node displayed to the user.
+ * @returns {Object} The visitors.
+ */
+function createJSXStringVisitors(attributes, check) {
+  return {
+    JSXText: function(node) {
+      check(node);
+    },
+
+    JSXExpressionContainer: function(node) {
+      if (node.parent.type === 'JSXElement' || node.parent.type === 'JSXFragment') {
+        getRenderedStrings(node.expression).forEach(check);
+      }
+    },
+
+    JSXAttribute: function(node) {
+      var name = node.name.type === 'JSXIdentifier' ? node.name.name : null;
+      if (!node.value || attributes.indexOf(name) < 0) {
+        return;
+      }
+      var value = node.value.type === 'JSXExpressionContainer' ? node.value.expression : node.value;
+      getRenderedStrings(value).forEach(check);
+    }
+  };
+}
+
+module.exports = {
+  DEFAULT_FUNCTIONS: DEFAULT_FUNCTIONS,
+  VISIBLE_ATTRIBUTES: VISIBLE_ATTRIBUTES,
+  addTranslationImport: addTranslationImport,
+  isTranslationCall: isTranslationCall,
+  isStaticString: isStaticString,
+  getStringText: getStringText,
+  createJSXStringVisitors: createJSXStringVisitors
+};
@@ -0,0 +1,224 @@
+/**
+ * @fileoverview Utility functions for Enact kind() definitions
+ */
+'use strict';
+
+// The configuration properties supported by the Enact kind() factory
+var KIND_PROPERTIES = [
+  'name',
+  'functional',
+  'propTypes',
+  'defaultProps',
+  'contextType',
+  'styles',
+  'handlers',
+  'computed',
+  'render'
+];
+
+/**
+ * Gets the static name of a property key
+ * @param {ASTNode} property The Property node.
+ * @returns {String|null} The key name, or null if it is computed or not a property.
+ */
+function getKeyName(property) {
+  if (property.type !== 'Property' || property.computed) {
+    return null;
+  }
+  if (property.key.type === 'Identifier') {
+    return property.key.name;
+  }
+  if (property.key.type === 'Literal') {
+    return String(property.key.value);
+  }
+  return null;
+}
+
+/**
+ * Finds a property of an object by its static key name
+ * @param {ASTNode} node The ObjectExpression node.
+ * @param {String} name The property name.
+ * @returns {ASTNode|undefined} The Property node, if found.
+ */
+function findProperty(node, name) {
+  return node.properties.find(function(property) {
+    return getKeyName(property) === name;
+  });
+}
+
+/**
+ * Creates a fixer which renames a property key
+ * @param {ASTNode} property The Property node.
+ * @param {String} name The new key name.
+ * @returns {Function} The fixer function.
+ */
+function getRenameFixer(property, name) {
+  return function(fixer) {
+    if (property.shorthand) {
+      return fixer.insertTextBefore(property.key, name + ': ');
+    }
+    if (property.key.type === 'Literal') {
+      var quote = property.key.raw[0];
+      return fixer.replaceText(property.key, quote + name + quote);
+    }
+    return fixer.replaceText(property.key, name);
+  };
+}
+
+/**
+ * Gets the entries with static keys of an object-valued property of a kind() definition,
+ * e.g. `computed` or `handlers`
+ * @param {ASTNode} node The kind() definition ObjectExpression.
+ * @param {String} name The property name.
+ * @returns {ASTNode[]} The entry Property nodes with static keys.
+ */
+function getEntries(node, name) {
+  var property = findProperty(node, name);
+  if (!property || property.value.type !== 'ObjectExpression') {
+    return [];
+  }
+  return property.value.properties.filter(function(entry) {
+    return getKeyName(entry) !== null;
+  });
+}
+
+/**
+ * Gets the names of the props declared in the propTypes of a kind() definition
+ * @param {ASTNode} node The kind() definition ObjectExpression.
+ * @returns {String[]|null} The declared prop names, or null if they cannot be determined.
+ */
+function getPropTypeNames(node) {
+  var propTypes = findProperty(node, 'propTypes');
+  if (!propTypes) {
+    return [];
+  }
+  if (propTypes.value.type !== 'ObjectExpression') {
+    return null;
+  }
+  var names = propTypes.value.properties.map(getKeyName);
+  return names.indexOf(null) >= 0 ? null : names;
+}
+
+/**
+ * Finds the function or declarator node which declares the variables of a pattern
+ * @param {ASTNode} node A node within the pattern.
+ * @returns {ASTNode} The declaring node.
+ */
+function findDeclaringNode(node) {
+  while (node.parent && !/Function/.test(node.type) && node.type !== 'VariableDeclarator') {
+    node = node.parent;
+  }
+  return node;
+}
+
+/**
+ * Checks if a variable declared by a pattern is read
+ * @param {Object} sourceCode The current rule sourceCode.
+ * @param {ASTNode} node The Identifier declaring the variable.
+ * @returns {Boolean} True if the variable is read, false if not.
+ */
+function isRead(sourceCode, node) {
+  return sourceCode.getDeclaredVariables(findDeclaringNode(node)).some(function(variable) {
+    return variable.name === node.name && variable.references.some(function(reference) {
+      return reference.isRead();
+    });
+  });
+}
+
+/**
+ * Collects the props read via a destructuring pattern
+ * @param {Object} sourceCode The current rule sourceCode.
+ * @param {ASTNode} pattern The ObjectPattern node.
+ * @param {Object} usage The props usage being collected.
+ */
+function collectPattern(sourceCode, pattern, usage) {
+  pattern.properties.forEach(function(property) {
+    if (property.type === 'RestElement') {
+      // Props forwarded through a rest spread may be used anywhere
+      if (property.argument.type !== 'Identifier' || isRead(sourceCode, property.argument)) {
+        usage.complete = false;
+      }
+      return;
+    }
+    var name = getKeyName(property);
+    if (name === null) {
+      usage.complete = false;
+    } else if (!usage.props[name]) {
+      usage.props[name] = property.key;
+    }
+  });
+}
+
+/**
+ * Collects the props read via references to a props variable
+ * @param {Object} sourceCode The current rule sourceCode.
+ * @param {Object} variable The props variable.
+ * @param {Object} usage The props usage being collected.
+ */
+function collectReferences(sourceCode, variable, usage) {
+  variable.references.forEach(function(reference) {
+    var identifier = reference.identifier;
+    var parent = identifier.parent;
+    var name = null;
+    if (parent.type === 'MemberExpression' && parent.object === identifier) {
+      if (!parent.computed) {
+        name = parent.property.name;
+      } else if (parent.property.type === 'Literal') {
+        name = String(parent.property.value);
+      }
+    } else if (parent.type === 'VariableDeclarator' && parent.init === identifier && parent.id.type === 'ObjectPattern') {
+      collectPattern(sourceCode, parent.id, usage);
+      return;
+    }
+    if (name === null) {
+      usage.complete = false;
+    } else if (!usage.props[name]) {
+      usage.props[name] = parent.property;
+    }
+  });
+}
+
+/**
+ * Collects the props read by a render, computed or handler function
+ * @param {Object} sourceCode The current rule sourceCode.
+ * @param {ASTNode} fn The function node.
+ * @param {Number} index The index of the props parameter.
+ * @returns {Object} The `props` read, mapped to the first node reading each, and whether the
+ *  usage is `complete` or other props may be read in ways which cannot be determined statically.
+ */
+function getUsedProps(sourceCode, fn, index) {
+  var usage = {
+    props: Object.create(null),
+    complete: true
+  };
+  var param = fn.params[index];
+  if (!param) {
+    return usage;
+  }
+  if (param.type === 'AssignmentPattern') {
+    param = param.left;
+  }
+  if (param.type === 'ObjectPattern') {
+    collectPattern(sourceCode, param, usage);
+  } else if (param.type === 'Identifier') {
+    var variable = sourceCode.getDeclaredVariables(fn).find(function(declared) {
+      return declared.name === param.name;
+    });
+    if (variable) {
+      collectReferences(sourceCode, variable, usage);
+    }
+  } else {
+    usage.complete = false;
+  }
+  return usage;
+}
+
+module.exports = {
+  KIND_PROPERTIES: KIND_PROPERTIES,
+  findProperty: findProperty,
+  getEntries: getEntries,
+  getKeyName: getKeyName,
+  getPropTypeNames: getPropTypeNames,
+  getRenameFixer: getRenameFixer,
+  getUsedProps: getUsedProps
+};
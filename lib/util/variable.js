@@ -52,7 +52,51 @@ function variablesInScope(sourceCode, context, node) {
   return variables;
 }
 
+/**
+ * Find the variable a name refers to from a node, searching the enclosing scopes
+ *
+ * @param {Object} sourceCode The current rule sourceCode.
+ * @param {Object} context The current rule context.
+ * @param {ASTNode} node The AST node to search from.
+ * @param {String} name The name of the variable to search.
+ * @returns {Object|null} The variable, or null if not found.
+ */
+function getVariable(sourceCode, context, node, name) {
+  var scope = sourceCode.getScope ? sourceCode.getScope(node) : context.getScope();
+  var variable = null;
+
+  while (scope && !variable) {
+    variable = scope.set.get(name);
+    scope = scope.upper;
+  }
+
+  return variable || null;
+}
+
+/**
+ * Find the initial value of a const variable visible from a node
+ *
+ * @param {Object} sourceCode The current rule sourceCode.
+ * @param {Object} context The current rule context.
+ * @param {ASTNode} node The AST node to search from.
+ * @param {String} name The name of the variable to search.
+ * @returns {ASTNode|null} The initial value, or null if not found or not a const variable.
+ */
+function findConstValue(sourceCode, context, node, name) {
+  var variable = getVariable(sourceCode, context, node, name);
+  var def = variable && variable.defs.length === 1 && variable.defs[0];
+
+  // Variables declared by destructuring are not initialized with the whole value
+  if (!def || def.type !== 'Variable' || def.parent.kind !== 'const' || def.node.id.type !== 'Identifier') {
+    return null;
+  }
+
+  return def.node.init;
+}
+
 module.exports = {
   findVariable: findVariable,
+  findConstValue: findConstValue,
+  getVariable: getVariable,
   variablesInScope: variablesInScope
 };
@@ -1,33 +1,52 @@
 /**
- * @fileoverview Utility functions for React version configuration
+ * @fileoverview Utility functions for React and Enact version configuration
  * @author Yannick Croissant
  */
 'use strict';
 
+function parse(version) {
+  version = /^[0-9]+\.[0-9]+$/.test(version) ? version + '.0' : version;
+  return version.split('.').map(function(part) {
+    return Number(part);
+  });
+}
+
+function isAtLeast(confVer, methodVer) {
+  methodVer = parse(methodVer);
+  var higherMajor = methodVer[0] < confVer[0];
+  var higherMinor = methodVer[0] === confVer[0] && methodVer[1] < confVer[1];
+  var higherOrEqualPatch = methodVer[0] === confVer[0] && methodVer[1] === confVer[1] && methodVer[2] <= confVer[2];
+
+  return higherMajor || higherMinor || higherOrEqualPatch;
+}
+
 function getFromContext(context) {
   var confVer = '999.999.999';
   // .eslintrc shared settings (http://eslint.org/docs/user-guide/configuring#adding-shared-settings)
   if (context.settings.react && context.settings.react.version) {
     confVer = context.settings.react.version;
   }
-  confVer = /^[0-9]+\.[0-9]+$/.test(confVer) ? confVer + '.0' : confVer;
-  return confVer.split('.').map(function(part) {
-    return Number(part);
-  });
+  return parse(confVer);
+}
+
+function getEnactFromContext(context) {
+  var confVer = '999.999.999';
+  // .eslintrc shared settings (http://eslint.org/docs/user-guide/configuring#adding-shared-settings)
+  if (context.settings.enact && context.settings.enact.version) {
+    confVer = context.settings.enact.version;
+  }
+  return parse(confVer);
 }
 
 function test(context, methodVer) {
-  var confVer = getFromContext(context);
-  methodVer = methodVer.split('.').map(function(part) {
-    return Number(part);
-  });
-  var higherMajor = methodVer[0] < confVer[0];
-  var higherMinor = methodVer[0] === confVer[0] && methodVer[1] < confVer[1];
-  var higherOrEqualPatch = methodVer[0] === confVer[0] && methodVer[1] === confVer[1] && methodVer[2] <= confVer[2];
+  return isAtLeast(getFromContext(context), methodVer);
+}
 
-  return higherMajor || higherMinor || higherOrEqualPatch;
+function testEnact(context, methodVer) {
+  return isAtLeast(getEnactFromContext(context), methodVer);
 }
 
 module.exports = {
-  test: test
+  test: test,
+  testEnact: testEnact
 };
@@ -0,0 +1,119 @@
+'use strict';
+
+const rule = require('../../lib/rules/compose-decorator-order'),
+	RuleTester = require('eslint').RuleTester;
+
+RuleTester.setDefaultConfig({
+	languageOptions: {
+		ecmaVersion: 2018,
+		sourceType: "module",
+		parserOptions: {
+			ecmaFeatures: {
+				jsx: true
+			}
+		}
+	}
+});
+
+const ruleTester = new RuleTester();
+
+ruleTester.run('compose-decorator-order', rule, {
+
+	valid: [
+		"import {compose} from '@enact/core/util';\nconst Decorator = compose(Pure, MarqueeDecorator({className: 'marquee'}), Spottable, Skinnable);",
+		"import {compose} from '@enact/core/util';\nconst Checkbox = compose(Toggleable({toggleProp: 'onTap'}), Spottable, Skinnable)(CheckboxBase);",
+		"const Item = Pure(Spottable(Skinnable(ItemBase)));",
+		"const Item = Pure(Spottable({emulateMouse: false}, Skinnable({prop: 'skin'})(ItemBase)));",
+		"const Item = connect(Pure(Spottable(ItemBase)));",
+		"const Item = hot(module)(Pure(ItemBase));",
+		// Only compose functions imported from known modules are checked
+		"const Decorator = compose(Skinnable, Spottable);",
+		"import {compose} from 'other';\nconst Decorator = compose(Skinnable, Spottable);",
+		"import compose from 'ramda/src/compose';\nconst Decorator = compose(Skinnable, Spottable);",
+		"import {compose} from '@enact/core/util';\nconst Decorator = compose(Custom, Other);",
+		{
+			code: "import {compose} from '@enact/core/util';\nconst Decorator = compose(Skinnable, Spottable);",
+			settings: {
+				enact: {
+					decoratorOrder: {
+						Spottable: []
+					}
+				}
+			}
+		}
+	],
+
+	invalid: [
+		{
+			// Spottable is applied outside of Skinnable, as in the @enact/sandstone components
+			code: "import {compose} from '@enact/core/util';\nconst Decorator = compose(Skinnable, Spottable);",
+			errors: [{
+				message: '\'Spottable\' must be applied outside of \'Skinnable\'',
+				type: 'Identifier',
+				line: 2,
+				column: 38
+			}]
+		},
+		{
+			code: "import {compose as c} from '@enact/core/util';\nconst Decorator = c(Spottable, Pure, Skinnable({prop: 'skin'}));",
+			errors: [{
+				messageId: 'wrongOrder',
+				data: {outer: 'Pure', inner: 'Spottable'},
+				type: 'Identifier'
+			}]
+		},
+		{
+			code: "import {compose} from '@enact/core/util';\nconst Button = compose(Spottable, compose(Skinnable, MarqueeDecorator({className: 'marquee'})))(ButtonBase);",
+			errors: [{
+				messageId: 'wrongOrder',
+				data: {outer: 'MarqueeDecorator', inner: 'Spottable'},
+				type: 'CallExpression'
+			}]
+		},
+		{
+			code: "import {compose} from '@enact/core/util';\nconst Item = compose(Spottable)(Pure(ItemBase));",
+			errors: [{
+				messageId: 'wrongOrder',
+				data: {outer: 'Pure', inner: 'Spottable'}
+			}]
+		},
+		{
+			code: "const Item = Skinnable(Spottable({emulateMouse: false})(ItemBase));",
+			errors: [{
+				messageId: 'wrongOrder',
+				data: {outer: 'Spottable', inner: 'Skinnable'},
+				type: 'CallExpression',
+				column: 24
+			}]
+		},
+		{
+			// The default Spottable and Skinnable order may be reversed
+			code: "import {compose} from '@enact/core/util';\nconst Decorator = compose(Spottable, Skinnable);",
+			settings: {
+				enact: {
+					decoratorOrder: {
+						Spottable: [],
+						Skinnable: ['Spottable']
+					}
+				}
+			},
+			errors: [{
+				message: '\'Skinnable\' must be applied outside of \'Spottable\''
+			}]
+		},
+		{
+			code: "import {SpottableDecorator as Focusable} from 'other';\nconst Item = Skinnable({prop: 'skin'}, Focusable(ItemBase));",
+			settings: {
+				enact: {
+					decoratorOrder: {
+						SpottableDecorator: ['Skinnable']
+					}
+				}
+			},
+			errors: [{
+				messageId: 'wrongOrder',
+				data: {outer: 'SpottableDecorator', inner: 'Skinnable'}
+			}]
+		}
+	]
+});
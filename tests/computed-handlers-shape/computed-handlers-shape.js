@@ -0,0 +1,115 @@
+'use strict';
+
+const rule = require('../../lib/rules/computed-handlers-shape'),
+	RuleTester = require('eslint').RuleTester;
+
+RuleTester.setDefaultConfig({
+	languageOptions: {
+		ecmaVersion: 2018,
+		sourceType: "module",
+		parserOptions: {
+			ecmaFeatures: {
+				jsx: true
+			}
+		}
+	}
+});
+
+const ruleTester = new RuleTester();
+
+ruleTester.run('computed-handlers-shape', rule, {
+
+	valid: [
+		"const t = kind({computed: {label: ({children}) => children, className: function ({css}) { return css.a; }}});",
+		"const t = kind({computed: {content: (props) => <div {...props}>Hello</div>}});",
+		"const t = kind({computed: {renderItem: ({css}) => (props) => <div className={css.item} {...props} />}});",
+		"const t = kind({computed: {label: getLabel, text: util.getText, value: memoize((props) => props.value)}});",
+		"const t = kind({computed: {label () { return [1].map(function () { return this.x; }); }}});",
+		"const t = kind({handlers: {onClick: (ev, props, context) => props.onSelect(ev)}});",
+		"const t = kind({handlers: {onClick: handle(forward('onClick'), (ev, {onSelect}) => onSelect())}});",
+		"const t = kind({handlers: {onClick: forward('onClick'), onBlur: handleBlur}});",
+		"const t = kind({handlers: {onClick () { return [1].map((x) => x); }}});",
+		// Only kind() definitions are checked
+		"const t = other({computed: {label: 'Hello'}, handlers: {onClick: 1}});",
+		"const t = kind({styles: {css: 1}});",
+		{
+			code: "const t = kind({computed: {label: ({children}) => children}});",
+			options: [{allowJSX: false}]
+		}
+	],
+
+	invalid: [
+		{
+			code: "const t = kind({computed: {label: 'Hello'}});",
+			errors: [{
+				message: 'Computed property \'label\' must be a function',
+				type: 'Literal'
+			}]
+		},
+		{
+			code: "const t = kind({computed: {items: [], config: {}}});",
+			errors: [
+				{messageId: 'computedNotFunction', data: {name: 'items'}},
+				{messageId: 'computedNotFunction', data: {name: 'config'}}
+			]
+		},
+		{
+			code: "const t = kind({handlers: {onClick: null}});",
+			errors: [{
+				message: 'Handler \'onClick\' must be a function or a handle() chain',
+				type: 'Literal'
+			}]
+		},
+		{
+			code: "const t = kind({computed: {label: function () { return this.props.label; }}});",
+			errors: [{
+				message: 'Computed property \'label\' must not use `this`',
+				type: 'ThisExpression'
+			}]
+		},
+		{
+			code: "const t = kind({computed: {label: () => this.label}});",
+			errors: [{messageId: 'computedThis'}]
+		},
+		{
+			code: "const t = kind({computed: {content: (props) => <div {...props}>Hello</div>}});",
+			options: [{allowJSX: false}],
+			errors: [{
+				message: 'Computed property \'content\' must not return JSX',
+				type: 'ArrowFunctionExpression'
+			}]
+		},
+		{
+			code: "const t = kind({computed: {content ({label}) { if (!label) { return null; } return <>{label}</>; }}});",
+			options: [{allowJSX: false}],
+			errors: [{messageId: 'computedJSX', type: 'FunctionExpression'}]
+		},
+		{
+			code: "const t = kind({handlers: {onClick: (ev, props, context, extra) => props.onSelect(extra)}});",
+			errors: [{
+				message: 'Handler \'onClick\' must take the (ev, props, context) signature',
+				type: 'ArrowFunctionExpression'
+			}]
+		},
+		{
+			code: "const t = kind({handlers: {onClick: (...args) => args}});",
+			errors: [{messageId: 'handlerParams'}]
+		},
+		{
+			code: "const t = kind({handlers: { myProp: (props) => ({another}) => (<div {...props}>Hello</div>)}});",
+			errors: [{
+				message: 'Handler \'myProp\' must not return a function',
+				type: 'ArrowFunctionExpression'
+			}]
+		},
+		{
+			code: "const t = kind({handlers: {onClick: function (ev) { return function () {}; }}});",
+			errors: [{messageId: 'handlerReturnsFunction'}]
+		},
+		{
+			code: "const t = factory({handlers: {onClick: 1}});",
+			settings: {enact: {kind: 'factory'}},
+			errors: [{messageId: 'handlerNotFunction'}]
+		}
+	]
+});
@@ -0,0 +1,107 @@
+'use strict';
+
+const rule = require('../../lib/rules/handle-chain-usage'),
+	RuleTester = require('eslint').RuleTester;
+
+RuleTester.setDefaultConfig({
+	languageOptions: {
+		ecmaVersion: 2018,
+		sourceType: "module",
+		parserOptions: {
+			ecmaFeatures: {
+				jsx: true
+			}
+		}
+	}
+});
+
+const ruleTester = new RuleTester();
+
+const imports = "import handle, {adaptEvent, forKey, forProp, forward, stop} from '@enact/core/handle';\n";
+
+ruleTester.run('handle-chain-usage', rule, {
+
+	valid: [
+		imports + "const t = kind({propTypes: {onClick: PropTypes.func}, handlers: {onClick: handle(forward('onClick'), stop)}});",
+		imports + "const t = kind({propTypes: {onSelect: PropTypes.func}, handlers: {onKeyDown: handle(forKey('enter'), adaptEvent((ev) => ({value: ev.value}), forward('onSelect')))}});",
+		imports + "const t = kind({propTypes: {onClick: PropTypes.func}, handlers: {onClick: (ev, props) => forward('onClick', ev, props)}});",
+		imports + "const t = kind({handlers: {onClick: handle(forProp('disabled', false), (ev, {onSelect}) => { onSelect(); return true; }, stop)}});",
+		// propTypes which cannot be determined statically are not checked
+		imports + "const t = kind({propTypes: {...Base.propTypes}, handlers: {onClick: handle(forward('onClick'))}});",
+		imports + "const t = kind({...base, handlers: {onClick: handle(forward('onClick'))}});",
+		// Forwarding outside of kind handlers is not checked
+		imports + "const onClick = handle(forward('onClick'));",
+		// Only utilities imported from @enact/core/handle are checked
+		"import {forward} from 'other';\nconst t = kind({handlers: {onClick: forward()}});",
+		"const t = kind({handlers: {onClick: handle(() => false, forward('onClick'))}});",
+		"import h from '@enact/core/handle';\nconst t = kind({propTypes: {onClick: PropTypes.func}, handlers: {onClick: h(h.forward('onClick'))}});",
+		{
+			code: imports + "const onKeyDown = handle(forKey('enter'), forward('onSelect'));",
+			options: [{requireForward: true}]
+		},
+		{
+			code: imports + "const onKeyDown = handle(forKey('enter'), (ev, {onSelect}) => onSelect());",
+			options: [{requireForward: true}]
+		}
+	],
+
+	invalid: [
+		{
+			code: imports + "const t = kind({propTypes: {onClick: PropTypes.func}, handlers: {onKeyDown: handle(forward('onKeyDown'))}});",
+			errors: [{
+				message: '\'onKeyDown\' is forwarded but is missing in propTypes',
+				type: 'Literal'
+			}]
+		},
+		{
+			code: imports + "const t = kind({handlers: {onClick: (ev, props) => forward('onClick', ev, props)}});",
+			errors: [{messageId: 'undeclaredForward', data: {name: 'onClick'}}]
+		},
+		{
+			code: "import h from '@enact/core/handle';\nconst t = kind({propTypes: {}, handlers: {onClick: h(h.forward('onClick'))}});",
+			errors: [{messageId: 'undeclaredForward', data: {name: 'onClick'}}]
+		},
+		{
+			code: imports + "const onClick = handle(adaptEvent(forward('onSelect')));",
+			errors: [{
+				message: '\'adaptEvent\' expects 2 argument(s) but was given 1',
+				type: 'CallExpression'
+			}]
+		},
+		{
+			code: imports + "const onClick = handle(forKey('enter', 'space'), forward('onSelect'));",
+			errors: [{messageId: 'invalidArity', data: {name: 'forKey', expected: 1, actual: 2}}]
+		},
+		{
+			code: imports + "const onClick = handle(forKey(), forward());",
+			errors: [
+				{messageId: 'invalidArity', data: {name: 'forKey', expected: 1, actual: 0}},
+				{messageId: 'invalidArity', data: {name: 'forward', expected: 1, actual: 0}}
+			]
+		},
+		{
+			code: imports + "const onClick = handle(forward('onClick'), (ev, {onSelect}) => { onSelect(); }, stop);",
+			errors: [{
+				message: 'Unreachable step; the previous step always stops the handler chain',
+				type: 'Identifier'
+			}]
+		},
+		{
+			code: imports + "const onClick = handle(() => false, forward('onClick'));",
+			errors: [{messageId: 'unreachableStep', type: 'CallExpression'}]
+		},
+		{
+			code: imports + "const onKeyDown = handle(forward('onKeyDown'), forKey('enter'));",
+			options: [{requireForward: true}],
+			errors: [{
+				message: 'Handler chain must end with a forward or an action',
+				type: 'CallExpression'
+			}]
+		},
+		{
+			code: imports + "const onKeyDown = handle();",
+			options: [{requireForward: true}],
+			errors: [{messageId: 'missingForward'}]
+		}
+	]
+});
@@ -0,0 +1,14 @@
+import hoc from '@enact/core/hoc';
+
+const defaultConfig = {
+	prop: 'selected',
+	toggle: 'onToggle'
+};
+
+const Toggleable = hoc(defaultConfig, (config, Wrapped) => {
+	return (props) => <Wrapped {...props} />;
+});
+
+export default Toggleable;
+export const Pressable = hoc({pressProp: 'pressed'}, (config, Wrapped) => Wrapped);
+export {Toggleable};
@@ -0,0 +1,146 @@
+'use strict';
+
+const path = require('path');
+const rule = require('../../lib/rules/hoc-config-shape'),
+	RuleTester = require('eslint').RuleTester;
+
+RuleTester.setDefaultConfig({
+	languageOptions: {
+		ecmaVersion: 2018,
+		sourceType: "module",
+		parserOptions: {
+			ecmaFeatures: {
+				jsx: true
+			}
+		}
+	}
+});
+
+const ruleTester = new RuleTester();
+
+const filename = path.join(__dirname, 'fixtures', 'Item.js');
+
+// A parser which cannot parse the Toggleable fixture
+const restrictedParser = {
+	parse: (code, options) => {
+		if (options.filePath && options.filePath !== filename) {
+			throw new SyntaxError('Unsupported module');
+		}
+		return require('espree').parse(code, options);
+	}
+};
+
+ruleTester.run('hoc-config-shape', rule, {
+
+	valid: [
+		"const Dec = hoc({prop: 'value'}, (config, Wrapped) => Wrapped);",
+		{
+			// Imported modules are parsed with the configured parser
+			code: "import {Toggleable} from './Toggleable';\nconst A = Toggleable({unknown: true})(Base);",
+			filename,
+			languageOptions: {
+				parser: restrictedParser
+			}
+		},
+		"const Dec = hoc((config, Wrapped) => Wrapped);",
+		"const defaultConfig = {prop: 'value'};\nconst Dec = hoc(defaultConfig, ({prop}, Wrapped) => Wrapped);",
+		"const Dec = hoc(getConfig(), (config, Wrapped) => Wrapped);",
+		"const Dec = hoc(defaultConfig, createDecorator);",
+		"const Dec = hoc({prop: 'value'}, (config, Wrapped) => Wrapped);\nconst Item = Dec({prop: 'selected'})(Base);",
+		"const Dec = hoc({prop: 'value'}, (config, Wrapped) => Wrapped);\nconst Item = Dec({prop: 'selected'}, Base);",
+		"const Dec = hoc({prop: 'value'}, (config, Wrapped) => Wrapped);\nconst Item = Dec(Base);",
+		// Factories with a config which cannot be determined accept any keys
+		"const Dec = hoc({...defaults}, (config, Wrapped) => Wrapped);\nconst Item = Dec({other: true})(Base);",
+		"const Dec = hoc((config, Wrapped) => Wrapped);\nconst Item = Dec({other: true})(Base);",
+		"const Dec = hoc({prop: 'value'}, (config, Wrapped) => Wrapped);\nfunction f (Dec) { return Dec({other: true}); }",
+		{
+			code: "import Toggleable, {Pressable} from './Toggleable';\nconst Item = Toggleable({prop: 'active', toggle: 'onTap'}, Pressable({pressProp: 'down'}, Base));",
+			filename
+		},
+		{
+			code: "import Unknown from './Missing';\nimport Other from 'other';\nconst Item = Unknown({other: true})(Other({other: true})(Base));",
+			filename
+		},
+		{
+			code: "const Dec = factory({prop: 'value'}, (config, Wrapped) => Wrapped);",
+			settings: {
+				enact: {
+					hoc: 'factory'
+				}
+			}
+		}
+	],
+
+	invalid: [
+		{
+			code: "const Dec = hoc('config', (config, Wrapped) => Wrapped);",
+			errors: [{
+				message: 'The default config of hoc() must be an object',
+				type: 'Literal'
+			}]
+		},
+		{
+			code: "const defaultConfig = ['value'];\nconst Dec = hoc(defaultConfig, (config, Wrapped) => Wrapped);",
+			errors: [{
+				messageId: 'configNotObject',
+				type: 'Identifier'
+			}]
+		},
+		{
+			code: "const Dec = hoc({prop: 'value'}, (Wrapped) => Wrapped);",
+			errors: [{
+				message: 'The function passed to hoc() must accept (config, Wrapped) arguments',
+				type: 'ArrowFunctionExpression'
+			}]
+		},
+		{
+			code: "const Dec = hoc(function (config, ...args) { return args[0]; });",
+			errors: [{
+				messageId: 'invalidParams',
+				type: 'FunctionExpression'
+			}]
+		},
+		{
+			code: "const Dec = hoc({prop: 'value', toggle: null}, (config, Wrapped) => Wrapped);\nconst Item = Dec({prop: 'selected', togle: 'onToggle'})(Base);",
+			errors: [{
+				message: '\'togle\' is not in the default config of Dec',
+				type: 'Identifier',
+				line: 2,
+				column: 37
+			}]
+		},
+		{
+			code: "const defaultConfig = {prop: 'value'};\nexport const Dec = hoc(defaultConfig, (config, Wrapped) => Wrapped);\nexport default compose(Dec({'value': 1}), Other);",
+			errors: [{
+				messageId: 'unknownConfigKey',
+				data: {name: 'value', decorator: 'Dec'}
+			}]
+		},
+		{
+			code: "import Toggle, {Toggleable, Pressable} from './Toggleable';\nconst A = Toggle({prop: 'active', onToggle: 'onTap'})(Base);\nconst B = Toggleable({pressProp: 'pressed'})(Pressable({prop: 'pressed'})(Base));",
+			filename,
+			errors: [{
+				messageId: 'unknownConfigKey',
+				data: {name: 'onToggle', decorator: 'Toggle'},
+				line: 2
+			}, {
+				messageId: 'unknownConfigKey',
+				data: {name: 'pressProp', decorator: 'Toggleable'},
+				line: 3
+			}, {
+				messageId: 'unknownConfigKey',
+				data: {name: 'prop', decorator: 'Pressable'},
+				line: 3
+			}]
+		},
+		{
+			code: "const Dec = factory(null, (config, Wrapped) => Wrapped);",
+			settings: {
+				enact: {
+					hoc: 'factory'
+				}
+			},
+			errors: [{messageId: 'configNotObject'}]
+		}
+	]
+});
@@ -0,0 +1,139 @@
+'use strict';
+
+const rule = require('../../lib/rules/hoc-name'),
+	RuleTester = require('eslint').RuleTester;
+
+RuleTester.setDefaultConfig({
+	languageOptions: {
+		ecmaVersion: 2022,
+		sourceType: "module",
+		parserOptions: {
+			ecmaFeatures: {
+				jsx: true
+			}
+		}
+	}
+});
+
+const ruleTester = new RuleTester();
+
+ruleTester.run('hoc-name', rule, {
+
+	valid: [
+		"const Spottable = hoc({}, (config, Wrapped) => kind({name: 'Spottable', render: (props) => <Wrapped {...props} />}));",
+		"const Spottable = hoc((config, Wrapped) => kind({name: 'Spottable', render: (props) => <Wrapped {...props} />}));",
+		`
+		const Spottable = hoc({}, (config, Wrapped) => {
+			return class extends React.Component {
+				static displayName = 'Spottable';
+				render () {
+					return <Wrapped {...this.props} />;
+				}
+			};
+		});
+		`,
+		`
+		const Spottable = hoc({}, (config, Wrapped) => {
+			class SpottableBase extends React.Component {
+				render () {
+					return <Wrapped {...this.props} />;
+				}
+			}
+			SpottableBase.displayName = 'Spottable';
+			return SpottableBase;
+		});
+		`,
+		`
+		const Spottable = hoc({}, function (config, Wrapped) {
+			const Component = kind({name: 'Spottable', render: (props) => <Wrapped {...props} />});
+			return Component;
+		});
+		`,
+		// Returning the wrapped component or another decorated component is not checked
+		"const Pure = hoc({}, (config, Wrapped) => Wrapped);",
+		"const Both = hoc({}, (config, Wrapped) => Spottable(Touchable(Wrapped)));",
+		// Nested functions are not the hoc body
+		"const Spottable = hoc({}, (config, Wrapped) => kind({name: 'Spottable', computed: {a: () => class {}}}));",
+		{
+			code: "const Spottable = hoc({}, (config, Wrapped) => kind({name: 'Spottable(' + Wrapped.displayName + ')'}));",
+			options: [{requireDecoratorName: true}]
+		},
+		{
+			code: "const Spottable = hoc({}, (config, Wrapped) => kind({name: `Spottable(${Wrapped.displayName})`}));",
+			options: [{requireDecoratorName: true}]
+		},
+		{
+			code: "const Spottable = hoc({}, (config, Wrapped) => kind({name: 'Foo'}));",
+			options: [{requireDecoratorName: false}]
+		},
+		{
+			code: "const Spottable = hoc({}, (config, Wrapped) => kind({name: 'Foo'}));",
+			settings: {enact: {hoc: 'decorator'}},
+			options: [{requireDecoratorName: true}]
+		}
+	],
+
+	invalid: [
+		{
+			code: "const Spottable = hoc({}, (config, Wrapped) => kind({render: (props) => <Wrapped {...props} />}));",
+			errors: [{
+				message: 'Component returned from Spottable is missing a name property',
+				type: 'ObjectExpression'
+			}]
+		},
+		{
+			code: `
+			const Spottable = hoc({}, (config, Wrapped) => {
+				return class extends React.Component {
+					render () {
+						return <Wrapped {...this.props} />;
+					}
+				};
+			});
+			`,
+			errors: [{
+				message: 'Component returned from Spottable is missing a displayName',
+				type: 'ClassExpression'
+			}]
+		},
+		{
+			code: `
+			export default hoc({}, (config, Wrapped) => {
+				class SpottableBase extends React.Component {}
+				if (config.foo) {
+					return Wrapped;
+				}
+				return SpottableBase;
+			});
+			`,
+			errors: [{
+				message: 'Component returned from hoc is missing a displayName',
+				type: 'ClassDeclaration'
+			}]
+		},
+		{
+			code: "const Spottable = decorator({}, (config, Wrapped) => kind({}));",
+			settings: {enact: {hoc: 'decorator'}},
+			errors: [{messageId: 'missingKindName', type: 'ObjectExpression'}]
+		},
+		{
+			code: "const Spottable = hoc({}, (config, Wrapped) => kind({name: 'Foo'}));",
+			options: [{requireDecoratorName: true}],
+			errors: [{
+				message: 'Component name should include the decorator name \'Spottable\'',
+				type: 'Literal'
+			}]
+		},
+		{
+			code: `
+			const Spottable = hoc({}, (config, Wrapped) => {
+				return class extends React.Component {
+					static displayName = \`Focusable(\${Wrapped.displayName})\`;
+				};
+			});
+			`,
+			options: [{requireDecoratorName: true}],
+			errors: [{messageId: 'missingDecoratorName', type: 'TemplateLiteral'}]
+		}
+	]
+});
@@ -0,0 +1,100 @@
+'use strict';
+
+const path = require('path');
+const rule = require('../../lib/rules/i18n-no-literal-strings'),
+	RuleTester = require('eslint').RuleTester;
+
+RuleTester.setDefaultConfig({
+	languageOptions: {
+		ecmaVersion: 2018,
+		sourceType: "module",
+		parserOptions: {
+			ecmaFeatures: {
+				jsx: true
+			}
+		}
+	}
+});
+
+const ruleTester = new RuleTester();
+
+ruleTester.run('i18n-no-literal-strings', rule, {
+
+	valid: [
+		"import $L from '@enact/i18n/$L';\nconst t = <Button title={$L('Play')} aria-label={$L('Play video')}>{$L('Play')}</Button>;",
+		"const t = <div>{count} / {total}</div>;",
+		"const t = <div className='button' id='play' data-spotlight-id='play'>{' '}- 10:30 -</div>;",
+		"const t = <Input placeholder={placeholder} title={disabled ? null : tooltip} />;",
+		"const t = $L({key: 'play_button', value: 'Play'});",
+		"const t = $L(`Play`);",
+		"import translate from '@enact/i18n/$L';\nconst t = <div>{translate('Play')}</div>;",
+		{
+			code: "const t = <Button title={t('Play')}>{t('Play')}</Button>;",
+			options: [{functions: ['t']}]
+		},
+		{
+			code: "const t = <div title='Enact'>OK</div>;",
+			options: [{allowPatterns: ['^(Enact|OK)$']}]
+		},
+		{
+			code: "const t = <Icon title='star' />;",
+			options: [{allowAttributes: ['title']}]
+		},
+		{
+			code: "const t = <div>Sample</div>;",
+			filename: path.join(process.cwd(), 'src', 'Button', 'Button.stories.js'),
+			options: [{allowFiles: ['**/*.stories.js']}]
+		}
+	],
+
+	invalid: [
+		{
+			code: "const t = <div>\n\tHello World\n</div>;",
+			errors: [{
+				message: 'User-visible string \'Hello World\' should be translated with $L()',
+				type: 'JSXText',
+				line: 1
+			}]
+		},
+		{
+			code: "const t = <Input placeholder='Search' aria-label={'Search field'} title={`Search ${name}`} children=\"Go\" />;",
+			errors: [
+				{messageId: 'literalString', data: {text: 'Search', fn: '$L'}, type: 'Literal'},
+				{messageId: 'literalString', data: {text: 'Search field', fn: '$L'}, type: 'Literal'},
+				{messageId: 'literalString', data: {text: 'Search ${}', fn: '$L'}, type: 'TemplateLiteral'},
+				{messageId: 'literalString', data: {text: 'Go', fn: '$L'}, type: 'Literal'}
+			]
+		},
+		{
+			code: "const t = <div>{selected ? 'Selected' : $L('Not selected')}{label || 'Untitled item with a very long descriptive title'}</div>;",
+			errors: [
+				{messageId: 'literalString', data: {text: 'Selected', fn: '$L'}},
+				{messageId: 'literalString', data: {text: 'Untitled item with a very long...', fn: '$L'}}
+			]
+		},
+		{
+			code: "const t = <Icon tooltipText='Favorite' />;",
+			options: [{functions: ['t'], attributes: ['tooltipText']}],
+			errors: [{
+				message: 'User-visible string \'Favorite\' should be translated with t()',
+				type: 'Literal'
+			}]
+		},
+		{
+			code: "import $L from '@enact/i18n/$L';\nconst a = $L(label);\nconst b = $L('Hello ' + name);\nconst c = $L(`Hello ${name}`);\nconst d = $L({key: 'hello', value: value});",
+			errors: [
+				{message: '$L() should be called with a string literal so the string can be extracted', type: 'Identifier'},
+				{message: 'Strings passed to $L() should not be concatenated; use a single string with format parameters', type: 'BinaryExpression'},
+				{messageId: 'concatenatedArgument', type: 'TemplateLiteral'},
+				{messageId: 'nonLiteralArgument', type: 'ObjectExpression'}
+			]
+		},
+		{
+			code: "import translate from '@enact/i18n/$L';\nconst t = <div title={translate(key)}>Play</div>;",
+			errors: [
+				{messageId: 'nonLiteralArgument', data: {fn: 'translate'}},
+				{messageId: 'literalString', data: {text: 'Play', fn: '$L'}}
+			]
+		}
+	]
+});
@@ -0,0 +1,121 @@
+'use strict';
+
+const rule = require('../../lib/rules/i18n-no-unsafe-formatting'),
+	RuleTester = require('eslint').RuleTester;
+
+RuleTester.setDefaultConfig({
+	languageOptions: {
+		ecmaVersion: 2018,
+		sourceType: "module",
+		parserOptions: {
+			ecmaFeatures: {
+				jsx: true
+			}
+		}
+	}
+});
+
+const ruleTester = new RuleTester();
+
+ruleTester.run('i18n-no-unsafe-formatting', rule, {
+
+	valid: [
+		"import IString from 'ilib/lib/IString';\nconst t = new IString($L('Hello {name}')).format({name});",
+		"const t = 'Hello ' + name;",
+		"const t = `${$L('Hello')}`;",
+		"const t = css.item + ' ' + css.selected;",
+		"const t = Math.round(value.toFixed(2));",
+		"const key = date.toLocaleDateString();\nlog(time.toLocaleTimeString('en-US'));",
+		"const t = <div title='Meeting at 10'>{count} items</div>;",
+		"const t = <div className='AM-PM'>{$L('Time')}</div>;",
+		"const t = <div>Camp</div>;",
+		"const t = tag`${$L('Hello')} ${name}`;"
+	],
+
+	invalid: [
+		{
+			code: "import $L from '@enact/i18n/$L';\nconst t = $L('Hello') + ' ' + name + '!';",
+			errors: [{
+				message: 'Translated strings should not be concatenated; use a format string with new IString().format()',
+				type: 'BinaryExpression',
+				suggestions: [{
+					messageId: 'useFormat',
+					output: "import $L from '@enact/i18n/$L';\nimport IString from 'ilib/lib/IString';\nconst t = new IString($L('Hello {name}!')).format({name});"
+				}]
+			}]
+		},
+		{
+			code: "import Str from 'ilib/lib/IString';\nconst t = `${props.count} ${$L(\"item's\")} ${$L('selected')} ${other.count}`;",
+			errors: [{
+				messageId: 'concatenation',
+				type: 'TemplateLiteral',
+				suggestions: [{
+					messageId: 'useFormat',
+					output: "import Str from 'ilib/lib/IString';\nconst t = new Str($L('{count} item\\'s selected {count2}')).format({count: props.count, count2: other.count});"
+				}]
+			}]
+		},
+		{
+			// Joining translated strings would replace their keys with a new untranslated key
+			code: "const t = $L('Hello') + ' ' + $L('World');",
+			errors: [{messageId: 'concatenation', suggestions: []}]
+		},
+		{
+			code: "const t = $L('Total: ') + getTotal();",
+			errors: [{messageId: 'concatenation', suggestions: []}]
+		},
+		{
+			code: "const t = translate('Total: ') + total;",
+			options: [{functions: ['translate']}],
+			errors: [{
+				messageId: 'concatenation',
+				suggestions: [{
+					messageId: 'useFormat',
+					output: "import IString from 'ilib/lib/IString';\nconst t = new IString(translate('Total: {total}')).format({total});"
+				}]
+			}]
+		},
+		{
+			code: "const t = <div>{date.toLocaleString()} {time.toLocaleTimeString('en-US')}</div>;",
+			errors: [{
+				message: '\'toLocaleString()\' does not use the app locale; format with ilib DateFmt or NumFmt instead',
+				type: 'Identifier'
+			}, {
+				messageId: 'localeMethod',
+				data: {name: 'toLocaleTimeString'}
+			}]
+		},
+		{
+			code: "const t = <div>{price.toFixed(2)}</div>;\nconst s = 'Size: ' + size.toFixed(1);",
+			errors: [{
+				message: '\'toFixed()\' does not use locale-specific separators; format with ilib NumFmt instead',
+				line: 1
+			}, {
+				messageId: 'toFixed',
+				line: 2
+			}]
+		},
+		{
+			code: "const t = <div title={'Starts 10 AM'}>\n\t{hours}:{minutes} PM\n\t<span>${price}</span>\n\t{'€' + amount}\n</div>;",
+			errors: [{
+				message: 'Hard-coded \'AM\'; format times with ilib DateFmt instead',
+				type: 'Literal',
+				line: 1
+			}, {
+				messageId: 'timeMarker',
+				data: {marker: 'PM'},
+				type: 'JSXText',
+				line: 2
+			}, {
+				message: 'Hard-coded currency symbol \'$\'; format amounts with ilib NumFmt instead',
+				type: 'JSXText',
+				line: 3
+			}, {
+				messageId: 'currencySymbol',
+				data: {symbol: '€'},
+				type: 'Literal',
+				line: 4
+			}]
+		}
+	]
+});
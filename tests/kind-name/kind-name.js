@@ -21,11 +21,198 @@ ruleTester.run('kind-name', rule, {
 
 	valid: [
 		"const t = kind({name: 'hello'});",
+		{
+			code: "const Button = kind({name: 'Button'});",
+			options: [{match: 'variable'}]
+		},
+		{
+			code: "const ButtonBase = kind({name: 'Button'});",
+			options: [{match: 'variable'}]
+		},
+		{
+			code: "const ButtonDecorator = kind({name: 'Button'});",
+			options: [{match: 'variable', ignoreSuffixes: ['Base', 'Decorator']}]
+		},
+		{
+			code: "const IconButton = kind({name: 'Button'});",
+			options: [{match: 'filename'}],
+			filename: '/src/components/Button/Button.js'
+		},
+		{
+			code: "export default kind({name: 'Button'});",
+			options: [{match: 'either'}],
+			filename: '/src/components/Button/index.js'
+		},
+		{
+			code: "const IconButton = kind({name: 'Button'});",
+			options: [{match: 'either'}],
+			filename: '/src/components/Button/Button.js'
+		},
+		{
+			code: "export default kind({name: 'Button'});",
+			options: [{match: 'variable'}]
+		},
+		"const t = kind({name: `hello`});",
+		{
+			code: "const NAME = 'Button';\nconst Button = kind({name: NAME});",
+			options: [{allowConstIdentifiers: true}]
+		},
+		{
+			code: "const NAME = 'Button';\nconst IconButton = kind({name: NAME});",
+			options: [{allowConstIdentifiers: true, match: 'filename'}],
+			filename: '/src/components/Button/Button.js'
+		}
 	],
 
 	invalid: [
 		{
 			code: "const t = kind({render: (props) => (<div {...props}>Hello</div>)});",
+			output: "const t = kind({name: 't', render: (props) => (<div {...props}>Hello</div>)});",
+			errors: [{
+				message: 'Component definition is missing a name property',
+				type: 'ObjectExpression'
+			}]
+		},
+		{
+			code: "const Hello = kind({});",
+			output: "const Hello = kind({name: 'Hello'});",
+			errors: [{
+				message: 'Component definition is missing a name property',
+				type: 'ObjectExpression'
+			}]
+		},
+		{
+			code: "let Hello;\nHello = Pure(kind({render: () => <div />}));",
+			output: "let Hello;\nHello = Pure(kind({name: 'Hello', render: () => <div />}));",
+			errors: [{
+				message: 'Component definition is missing a name property',
+				type: 'ObjectExpression'
+			}]
+		},
+		{
+			code: `
+			const HelloBase = kind({
+				render: () => <div />
+			});
+			`,
+			output: `
+			const HelloBase = kind({
+				name: 'HelloBase',
+				render: () => <div />
+			});
+			`,
+			errors: [{
+				message: 'Component definition is missing a name property',
+				type: 'ObjectExpression'
+			}]
+		},
+		{
+			code: "export default kind({render: () => <div />});",
+			filename: '/src/components/Hello/Hello.js',
+			output: "export default kind({name: 'Hello', render: () => <div />});",
+			errors: [{
+				message: 'Component definition is missing a name property',
+				type: 'ObjectExpression'
+			}]
+		},
+		{
+			code: "export default kind({render: () => <div />});",
+			filename: '/src/components/Hello/index.js',
+			output: "export default kind({name: 'Hello', render: () => <div />});",
+			errors: [{
+				message: 'Component definition is missing a name property',
+				type: 'ObjectExpression'
+			}]
+		},
+		{
+			code: "const IconButton = kind({name: 'Button'});",
+			options: [{match: 'variable'}],
+			errors: [{
+				message: 'Component name \'Button\' does not match \'IconButton\'',
+				type: 'Literal'
+			}]
+		},
+		{
+			code: "const ButtonBase = kind({name: 'Button'});",
+			options: [{match: 'variable', ignoreSuffixes: []}],
+			errors: [{
+				message: 'Component name \'Button\' does not match \'ButtonBase\'',
+				type: 'Literal'
+			}]
+		},
+		{
+			code: "const Button = kind({name: `Button`});",
+			options: [{match: 'filename'}],
+			filename: '/src/components/IconButton/IconButton.js',
+			errors: [{
+				message: 'Component name \'Button\' does not match \'IconButton\'',
+				type: 'TemplateLiteral'
+			}]
+		},
+		{
+			code: "const Icon = kind({name: 'Button'});",
+			options: [{match: 'either'}],
+			filename: '/src/components/IconButton/index.js',
+			errors: [{
+				message: 'Component name \'Button\' does not match \'Icon\' or \'IconButton\'',
+				type: 'Literal'
+			}]
+		},
+		{
+			code: "const Button = kind({name: 'ButtonBase'});",
+			options: [{match: 'either'}],
+			filename: '/src/components/Button/index.js',
+			errors: [{
+				message: 'Component name \'ButtonBase\' does not match \'Button\'',
+				type: 'Literal'
+			}]
+		},
+		{
+			code: "const t = kind({name: ''});",
+			errors: [{messageId: 'emptyName', type: 'Literal'}]
+		},
+		{
+			code: "const t = kind({name: ``});",
+			errors: [{messageId: 'emptyName', type: 'TemplateLiteral'}]
+		},
+		{
+			code: "const t = kind({name: undefined});",
+			errors: [{messageId: 'nonStringName', type: 'Identifier'}]
+		},
+		{
+			code: "const t = kind({name: 42});",
+			errors: [{messageId: 'nonStringName', type: 'Literal'}]
+		},
+		{
+			code: "const t = kind({name: someVar});",
+			errors: [{messageId: 'dynamicName', type: 'Identifier'}]
+		},
+		{
+			code: "const t = kind({name: `${x}Button`});",
+			errors: [{messageId: 'dynamicName', type: 'TemplateLiteral'}]
+		},
+		{
+			code: "const NAME = 'Button';\nconst t = kind({name: NAME});",
+			errors: [{messageId: 'dynamicName', type: 'Identifier'}]
+		},
+		{
+			code: "let NAME = 'Button';\nconst t = kind({name: NAME});",
+			options: [{allowConstIdentifiers: true}],
+			errors: [{messageId: 'dynamicName', type: 'Identifier'}]
+		},
+		{
+			code: "const {length: NAME} = 'Button';\nconst t = kind({name: NAME});",
+			options: [{allowConstIdentifiers: true}],
+			errors: [{messageId: 'dynamicName', type: 'Identifier'}]
+		},
+		{
+			code: "const NAME = '';\nconst t = kind({name: NAME});",
+			options: [{allowConstIdentifiers: true}],
+			errors: [{messageId: 'emptyName', type: 'Identifier'}]
+		},
+		{
+			code: "module.exports = kind({render: () => <div />});",
+			output: null,
 			errors: [{
 				message: 'Component definition is missing a name property',
 				type: 'ObjectExpression'
@@ -0,0 +1,108 @@
+'use strict';
+
+const rule = require('../../lib/rules/kind-prop-order'),
+	RuleTester = require('eslint').RuleTester;
+
+RuleTester.setDefaultConfig({
+	languageOptions: {
+		ecmaVersion: 2018,
+		sourceType: "module",
+		parserOptions: {
+			ecmaFeatures: {
+				jsx: true
+			}
+		}
+	}
+});
+
+const ruleTester = new RuleTester();
+
+ruleTester.run('kind-prop-order', rule, {
+
+	valid: [
+		"const t = kind({name: 'Hello', propTypes: {}, defaultProps: {}, styles: {}, handlers: {}, computed: {}, render: () => <div />});",
+		"const t = kind({name: 'Hello', render: () => <div />});",
+		// Unknown properties are ignored
+		"const t = kind({name: 'Hello', foo: 1, propTypes: {}, render: () => <div />});",
+		// Only kind() definitions are checked
+		"const t = other({render: () => <div />, name: 'Hello'});",
+		{
+			code: "const t = kind({render: () => <div />, name: 'Hello'});",
+			options: [{order: ['render', 'name']}]
+		},
+		{
+			code: "const t = factory({name: 'Hello', render: () => <div />});",
+			settings: {enact: {kind: 'factory'}}
+		}
+	],
+
+	invalid: [
+		{
+			code: "const t = kind({render: () => <div />, name: 'Hello'});",
+			output: "const t = kind({name: 'Hello', render: () => <div />});",
+			errors: [{
+				message: 'Property \'name\' should be placed before \'render\'',
+				type: 'Property'
+			}]
+		},
+		{
+			code: "const t = kind({name: 'Hello', computed: {}, foo: 1, handlers: {}, propTypes: {}});",
+			output: "const t = kind({name: 'Hello', propTypes: {}, foo: 1, handlers: {}, computed: {}});",
+			errors: [
+				{messageId: 'outOfOrder', data: {name: 'handlers', before: 'computed'}},
+				{messageId: 'outOfOrder', data: {name: 'propTypes', before: 'computed'}}
+			]
+		},
+		{
+			code: `
+			const t = kind({
+				name: 'Hello',
+
+				// Renders the component
+				render: ({label}) => <div>{label}</div>,
+
+				/**
+				 * Computed props
+				 */
+				computed: {
+					label: ({children}) => children
+				}
+			});
+			`,
+			output: `
+			const t = kind({
+				name: 'Hello',
+
+				/**
+				 * Computed props
+				 */
+				computed: {
+					label: ({children}) => children
+				},
+
+				// Renders the component
+				render: ({label}) => <div>{label}</div>
+			});
+			`,
+			errors: [{messageId: 'outOfOrder', line: 11}]
+		},
+		{
+			// Trailing comments cannot be safely moved
+			code: "const t = kind({\n\trender: () => <div />, // render\n\tname: 'Hello'\n});",
+			output: null,
+			errors: [{messageId: 'outOfOrder'}]
+		},
+		{
+			// Reordering around a spread changes precedence
+			code: "const t = kind({...base, render: () => <div />, name: 'Hello'});",
+			output: null,
+			errors: [{messageId: 'outOfOrder'}]
+		},
+		{
+			code: "const t = kind({name: 'Hello', render: () => <div />});",
+			options: [{order: ['render', 'name']}],
+			output: "const t = kind({render: () => <div />, name: 'Hello'});",
+			errors: [{messageId: 'outOfOrder', data: {name: 'render', before: 'name'}}]
+		}
+	]
+});
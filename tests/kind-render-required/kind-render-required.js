@@ -0,0 +1,93 @@
+'use strict';
+
+const rule = require('../../lib/rules/kind-render-required'),
+	RuleTester = require('eslint').RuleTester;
+
+RuleTester.setDefaultConfig({
+	languageOptions: {
+		ecmaVersion: 2018,
+		sourceType: "module",
+		parserOptions: {
+			ecmaFeatures: {
+				jsx: true
+			}
+		}
+	}
+});
+
+const ruleTester = new RuleTester();
+
+ruleTester.run('kind-render-required', rule, {
+
+	valid: [
+		"const t = kind({name: 'Hello', render: (props) => <div {...props} />});",
+		"const t = kind({name: 'Hello', render: () => <>Hello</>});",
+		"const t = kind({name: 'Hello', render: () => null});",
+		"const t = kind({name: 'Hello', render: ({visible}) => visible ? <div /> : null});",
+		"const t = kind({name: 'Hello', render: ({visible}) => visible && <div />});",
+		"const t = kind({name: 'Hello', render: () => React.createElement('div')});",
+		"const t = kind({name: 'Hello', render ({label}) { if (!label) { return null; } return <div>{label}</div>; }});",
+		"const t = kind({name: 'Hello', render: function () { const items = [1].map(() => 1); return <div>{items}</div>; }});",
+		// Values which cannot be determined statically are not reported
+		"const t = kind({name: 'Hello', render: ({children}) => children});",
+		"const t = kind({name: 'Hello', render: renderHello});",
+		"const t = kind({name: 'Hello', render: createRender()});",
+		// The render function may be provided by a spread
+		"const t = kind({...base, name: 'Hello'});",
+		// Only kind() definitions are checked
+		"const t = other({name: 'Hello'});"
+	],
+
+	invalid: [
+		{
+			code: "const t = kind({name: 'Hello'});",
+			errors: [{
+				message: 'Component definition is missing a render function',
+				type: 'ObjectExpression'
+			}]
+		},
+		{
+			code: "const t = factory({name: 'Hello'});",
+			settings: {enact: {kind: 'factory'}},
+			errors: [{messageId: 'missingRender'}]
+		},
+		{
+			code: "const t = kind({name: 'Hello', render: <div />});",
+			errors: [{
+				message: 'The render property must be a function',
+				type: 'JSXElement'
+			}]
+		},
+		{
+			code: "const t = kind({name: 'Hello', render: undefined});",
+			errors: [{messageId: 'renderNotFunction', type: 'Identifier'}]
+		},
+		{
+			code: "const t = kind({name: 'Hello', render: 'Hello'});",
+			errors: [{messageId: 'renderNotFunction', type: 'Literal'}]
+		},
+		{
+			code: "const t = kind({name: 'Hello', render: () => {}});",
+			errors: [{
+				message: 'The render function must return JSX, null or a createElement call',
+				type: 'ArrowFunctionExpression'
+			}]
+		},
+		{
+			code: "const t = kind({name: 'Hello', render () { const el = () => <div />; }});",
+			errors: [{messageId: 'renderNotReturningJSX', type: 'FunctionExpression'}]
+		},
+		{
+			code: "const t = kind({name: 'Hello', render: ({label}) => ({label})});",
+			errors: [{messageId: 'renderNotReturningJSX'}]
+		},
+		{
+			code: "const t = kind({name: 'Hello', render: () => () => <div />});",
+			errors: [{messageId: 'renderNotReturningJSX'}]
+		},
+		{
+			code: "const t = kind({name: 'Hello', render: function () { return; }});",
+			errors: [{messageId: 'renderNotReturningJSX'}]
+		}
+	]
+});
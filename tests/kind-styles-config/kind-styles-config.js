@@ -0,0 +1,118 @@
+'use strict';
+
+const path = require('path'),
+	rule = require('../../lib/rules/kind-styles-config'),
+	RuleTester = require('eslint').RuleTester;
+
+RuleTester.setDefaultConfig({
+	languageOptions: {
+		ecmaVersion: 2018,
+		sourceType: "module",
+		parserOptions: {
+			ecmaFeatures: {
+				jsx: true
+			}
+		}
+	}
+});
+
+const ruleTester = new RuleTester();
+const filename = path.join(__dirname, 'fixtures', 'Button.js');
+
+ruleTester.run('kind-styles-config', rule, {
+
+	valid: [
+		"import css from './Button.module.less';\nconst t = kind({styles: {css, className: 'button'}});",
+		"import * as css from './Button.module.css';\nconst t = kind({styles: {css, className: 'button selected', publicClassNames: true}});",
+		"import css from './Button.module.less';\nconst t = kind({styles: {css, publicClassNames: ['button', 'client']}});",
+		"import css from './Button.module.less';\nconst t = kind({styles: {css, publicClassNames: ['button', name, ...others]}});",
+		// Values which cannot be determined statically are not checked
+		"import css from './Button.module.less';\nconst t = kind({styles: {css, className: getClassName(), publicClassNames: names}});",
+		"const t = kind({styles: Base.styles});",
+		"const t = kind({styles: {...base}});",
+		"const t = kind({styles: {css: require('./Button.less')}});",
+		// Only kind() definitions are checked
+		"const t = other({styles: 'button'});",
+		{
+			code: "import css from './Button.module.less';\nconst t = kind({styles: {css, className: 'button selected button-icon', publicClassNames: ['client', 'large']}});",
+			options: [{checkClassNames: true}],
+			filename
+		},
+		{
+			// Stylesheets which cannot be read are not checked
+			code: "import css from './Missing.module.less';\nconst t = kind({styles: {css, className: 'unknown'}});",
+			options: [{checkClassNames: true}],
+			filename
+		}
+	],
+
+	invalid: [
+		{
+			code: "const t = kind({styles: 'button'});",
+			errors: [{
+				message: 'The styles property must be an object',
+				type: 'Literal'
+			}]
+		},
+		{
+			code: "const t = kind({styles: {className: 'button'}});",
+			errors: [{
+				message: 'The styles property is missing a css property',
+				type: 'ObjectExpression'
+			}]
+		},
+		{
+			code: "import css from './Button.less';\nconst t = kind({styles: {css, className: 'button'}});",
+			errors: [{
+				message: 'The styles css must be imported from a .module.less or .module.css file',
+				type: 'Identifier'
+			}]
+		},
+		{
+			code: "import css from './Button.module.less';\nconst t = kind({styles: {css, className: 'button  selected'}});",
+			errors: [{
+				message: 'The styles className must be a string of space-separated class names',
+				type: 'Literal'
+			}]
+		},
+		{
+			code: "import css from './Button.module.less';\nconst t = kind({styles: {css, className: ['button']}});",
+			errors: [{messageId: 'invalidClassName', type: 'ArrayExpression'}]
+		},
+		{
+			code: "import css from './Button.module.less';\nconst t = kind({styles: {css, className: '.button'}});",
+			errors: [{messageId: 'invalidClassName'}]
+		},
+		{
+			code: "import css from './Button.module.less';\nconst t = kind({styles: {css, publicClassNames: 'button'}});",
+			errors: [{
+				message: 'The styles publicClassNames must be true or an array of class name strings',
+				type: 'Literal'
+			}]
+		},
+		{
+			code: "import css from './Button.module.less';\nconst t = kind({styles: {css, publicClassNames: ['button', name, 42, 'a b']}});",
+			errors: [
+				{messageId: 'invalidPublicClassNames', type: 'Literal', column: 66},
+				{messageId: 'invalidPublicClassNames', type: 'Literal', column: 70}
+			]
+		},
+		{
+			code: "import css from './Button.module.less';\nconst t = kind({styles: {css, className: 'button selectd', publicClassNames: ['commented', 'bg']}});",
+			options: [{checkClassNames: true}],
+			filename,
+			errors: [
+				{message: 'Class name \'selectd\' is not defined in \'./Button.module.less\'', type: 'Literal'},
+				{messageId: 'unknownClassName', data: {name: 'commented', file: './Button.module.less'}},
+				{messageId: 'unknownClassName', data: {name: 'bg', file: './Button.module.less'}}
+			]
+		},
+		{
+			code: "import css from './Button.module.less';\nconst t = factory({styles: {css, className: 'button bogus'}});",
+			settings: {enact: {kind: 'factory'}},
+			options: [{checkClassNames: true}],
+			filename,
+			errors: [{messageId: 'unknownClassName', data: {name: 'bogus', file: './Button.module.less'}}]
+		}
+	]
+});
@@ -0,0 +1,182 @@
+'use strict';
+
+const rule = require('../../lib/rules/migrate-moonstone-to-sandstone'),
+	RuleTester = require('eslint').RuleTester;
+
+RuleTester.setDefaultConfig({
+	languageOptions: {
+		ecmaVersion: 2020,
+		sourceType: "module",
+		parserOptions: {
+			ecmaFeatures: {
+				jsx: true
+			}
+		}
+	}
+});
+
+const ruleTester = new RuleTester();
+
+ruleTester.run('migrate-moonstone-to-sandstone', rule, {
+
+	valid: [
+		"import Button from '@enact/sandstone/Button';\nconst t = <Button casing='upper' />;",
+		"import Button from '@enact/ui/Button';\nconst t = <Button casing='upper' />;",
+		"import Button from '@enact/moonstone-extra/Button';",
+		"const t = <Button casing='upper' />;"
+	],
+
+	invalid: [
+		{
+			code: "import Button from '@enact/moonstone/Button';\nimport {ScrollerBase} from \"@enact/moonstone/Scroller\";\nconst t = <Button backgroundOpacity='transparent'>OK</Button>;",
+			output: "import Button from '@enact/sandstone/Button';\nimport {ScrollerBase} from \"@enact/sandstone/Scroller\";\nconst t = <Button backgroundOpacity='transparent'>OK</Button>;",
+			errors: [{
+				message: '\'@enact/moonstone/Button\' should be migrated to \'@enact/sandstone/Button\'',
+				type: 'Literal'
+			}, {
+				message: '\'@enact/moonstone/Scroller\' should be migrated to \'@enact/sandstone/Scroller\''
+			}]
+		},
+		{
+			code: "import MoonstoneDecorator from '@enact/moonstone/MoonstoneDecorator';\nexport {default as Panels} from '@enact/moonstone/Panels';\nexport * from '@enact/moonstone/VideoPlayer/MediaSlider';\nconst Item = import('@enact/moonstone/Item');",
+			output: "import MoonstoneDecorator from '@enact/sandstone/ThemeDecorator';\nexport {default as Panels} from '@enact/sandstone/Panels';\nexport * from '@enact/sandstone/VideoPlayer/MediaSlider';\nconst Item = import('@enact/sandstone/Item');",
+			errors: [{
+				message: '\'@enact/moonstone/MoonstoneDecorator\' should be migrated to \'@enact/sandstone/ThemeDecorator\''
+			}, {
+				messageId: 'migrateModule'
+			}, {
+				messageId: 'migrateModule'
+			}, {
+				messageId: 'migrateModule'
+			}]
+		},
+		{
+			code: "import Divider from '@enact/moonstone/Divider';\nimport ExpandableItem from '@enact/moonstone/ExpandableItem';\nimport Unknown from '@enact/moonstone/Unknown';",
+			errors: [{
+				message: '\'@enact/moonstone/Divider\' has no direct equivalent in @enact/sandstone',
+				suggestions: [{
+					desc: 'Replace with \'@enact/sandstone/Heading\'',
+					output: "import Divider from '@enact/sandstone/Heading';\nimport ExpandableItem from '@enact/moonstone/ExpandableItem';\nimport Unknown from '@enact/moonstone/Unknown';"
+				}]
+			}, {
+				message: '\'@enact/moonstone/ExpandableItem\' has no direct equivalent in @enact/sandstone',
+				suggestions: []
+			}, {
+				message: '\'@enact/moonstone/Unknown\' has no direct equivalent in @enact/sandstone',
+				suggestions: []
+			}]
+		},
+		{
+			code: "import Moonstone from '@enact/moonstone';\nconst Button = require('@enact/moonstone/Button');\nconst m = require('@enact/moonstone');",
+			output: "import Moonstone from '@enact/moonstone';\nconst Button = require('@enact/sandstone/Button');\nconst m = require('@enact/moonstone');",
+			errors: [{
+				message: '\'@enact/moonstone\' has no direct equivalent in @enact/sandstone',
+				line: 1,
+				suggestions: []
+			}, {
+				messageId: 'migrateModule',
+				line: 2
+			}, {
+				messageId: 'noEquivalentModule',
+				line: 3,
+				suggestions: []
+			}]
+		},
+		{
+			// Components used with props which have no equivalent are not migrated silently
+			code: "import Button from '@enact/moonstone/Button';\nconst t = <Button casing='upper'>OK</Button>;",
+			output: null,
+			errors: [{
+				message: '\'@enact/moonstone/Button\' should be migrated to \'@enact/sandstone/Button\'',
+				line: 1,
+				suggestions: [{
+					desc: 'Replace with \'@enact/sandstone/Button\'',
+					output: "import Button from '@enact/sandstone/Button';\nconst t = <Button casing='upper'>OK</Button>;"
+				}]
+			}, {
+				message: 'The \'casing\' prop of Button has no direct equivalent in @enact/sandstone',
+				type: 'JSXIdentifier',
+				line: 2
+			}]
+		},
+		{
+			code: "import Popup from '@enact/moonstone/Popup';\nimport Icon from '@enact/moonstone/Icon';\nconst t = <Popup open><Icon small>star</Icon></Popup>;",
+			output: "import Popup from '@enact/sandstone/Popup';\nimport Icon from '@enact/moonstone/Icon';\nconst t = <Popup open><Icon small>star</Icon></Popup>;",
+			errors: [{
+				messageId: 'migrateModule',
+				line: 1
+			}, {
+				messageId: 'migrateModule',
+				line: 2,
+				suggestions: [{
+					desc: 'Replace with \'@enact/sandstone/Icon\'',
+					output: "import Popup from '@enact/moonstone/Popup';\nimport Icon from '@enact/sandstone/Icon';\nconst t = <Popup open><Icon small>star</Icon></Popup>;"
+				}]
+			}, {
+				message: 'The \'small\' prop of Icon has no direct equivalent in @enact/sandstone'
+			}]
+		},
+		{
+			code: "import Input from '@enact/moonstone/Input';\nimport IconButton from '@enact/moonstone/IconButton';\nimport Button from '@enact/moonstone/Button';\nconst t = <Button small>OK</Button>;",
+			output: null,
+			errors: [{
+				message: '\'@enact/moonstone/Input\' has no direct equivalent in @enact/sandstone',
+				line: 1,
+				suggestions: [{
+					desc: 'Replace with \'@enact/sandstone/InputField\'',
+					output: "import Input from '@enact/sandstone/InputField';\nimport IconButton from '@enact/moonstone/IconButton';\nimport Button from '@enact/moonstone/Button';\nconst t = <Button small>OK</Button>;"
+				}]
+			}, {
+				messageId: 'noEquivalentModule',
+				line: 2,
+				suggestions: [{
+					desc: 'Replace with \'@enact/sandstone/Button\'',
+					output: "import Input from '@enact/moonstone/Input';\nimport IconButton from '@enact/sandstone/Button';\nimport Button from '@enact/moonstone/Button';\nconst t = <Button small>OK</Button>;"
+				}]
+			}, {
+				messageId: 'migrateModule',
+				line: 3,
+				suggestions: [{
+					desc: 'Replace with \'@enact/sandstone/Button\'',
+					output: "import Input from '@enact/moonstone/Input';\nimport IconButton from '@enact/moonstone/IconButton';\nimport Button from '@enact/sandstone/Button';\nconst t = <Button small>OK</Button>;"
+				}]
+			}, {
+				message: 'The \'small\' prop of Button has no direct equivalent in @enact/sandstone',
+				line: 4
+			}]
+		},
+		{
+			code: "import Item from '@enact/moonstone/Item';\nimport Custom from '@enact/moonstone/Custom';\nconst t = <Item label='A' />;\nconst u = <Item label='B' slotAfter='C' />;",
+			output: "import Item from '@enact/moonstone/Item';\nimport Custom from '@enact/sandstone/Custom';\nconst t = <Item slotAfter='A' />;\nconst u = <Item label='B' slotAfter='C' />;",
+			settings: {
+				enact: {
+					sandstoneMigration: {
+						modules: {
+							Custom: 'Custom'
+						},
+						props: {
+							Item: {label: 'slotAfter'}
+						}
+					}
+				}
+			},
+			errors: [{
+				messageId: 'migrateModule',
+				line: 1,
+				suggestions: [{
+					desc: 'Replace with \'@enact/sandstone/Item\'',
+					output: "import Item from '@enact/sandstone/Item';\nimport Custom from '@enact/moonstone/Custom';\nconst t = <Item label='A' />;\nconst u = <Item label='B' slotAfter='C' />;"
+				}]
+			}, {
+				messageId: 'migrateModule',
+				line: 2
+			}, {
+				message: 'The \'label\' prop of Item is \'slotAfter\' in @enact/sandstone',
+				line: 3
+			}, {
+				messageId: 'renamedProp',
+				line: 4
+			}]
+		}
+	]
+});
@@ -0,0 +1,148 @@
+'use strict';
+
+const rule = require('../../lib/rules/no-deprecated-enact-api'),
+	RuleTester = require('eslint').RuleTester;
+
+RuleTester.setDefaultConfig({
+	languageOptions: {
+		ecmaVersion: 2020,
+		sourceType: "module",
+		parserOptions: {
+			ecmaFeatures: {
+				jsx: true
+			}
+		}
+	}
+});
+
+const ruleTester = new RuleTester();
+
+const decoratorSettings = {
+	enact: {
+		deprecations: [{
+			type: 'config',
+			module: '@enact/ui/Toggleable',
+			name: 'active',
+			since: '3.0.0',
+			replacement: 'prop',
+			fix: true
+		}]
+	}
+};
+
+ruleTester.run('no-deprecated-enact-api', rule, {
+
+	valid: [
+		"import Touchable from '@enact/ui/Touchable';\nimport ilib from 'ilib';\nimport Button from '@enact/sandstone/Button';",
+		"import VirtualList from '@enact/ui/VirtualList';\nconst t = <VirtualList itemRenderer={renderItem} />;",
+		"import VirtualList from './VirtualList';\nconst t = <VirtualList component={renderItem} />;",
+		"const t = <List component={renderItem} />;",
+		"const Foo = kind({name: 'Foo', contextType: Context, render: () => <div />});",
+		"const config = {contextTypes: {}};",
+		"import Holdable from '@enact/ui/HoldableExtra';",
+		// APIs are only reported from the version in which they changed
+		{
+			code: "import Button from '@enact/moonstone/Button';\nimport ilib from '@enact/i18n/ilib';",
+			settings: {enact: {version: '2.6.0'}}
+		},
+		{
+			code: "import Holdable from '@enact/ui/Holdable';",
+			settings: {enact: {version: '1.15'}}
+		},
+		{
+			code: "import Toggleable from '@enact/ui/Toggleable';\nconst T = Toggleable({active: 'selected'}, Base);",
+			settings: {enact: {version: '2.7.0', deprecations: decoratorSettings.enact.deprecations}}
+		},
+		{
+			// Entries without a valid `since` version are ignored
+			code: "import Old from 'my-lib/Old';",
+			settings: {enact: {deprecations: [{type: 'module', name: 'my-lib/Old'}, {type: 'module', name: 'my-lib/Old', since: 4}, null]}}
+		}
+	],
+
+	invalid: [
+		{
+			code: "import Holdable from '@enact/ui/Holdable';",
+			errors: [{
+				message: '\'@enact/ui/Holdable\' was removed in Enact 2.0.0; use \'@enact/ui/Touchable\' instead',
+				type: 'Literal'
+			}]
+		},
+		{
+			code: "import Button from \"@enact/moonstone/Button\";\nexport {default as Item} from '@enact/moonstone/Item';",
+			settings: {enact: {version: '4.0.2'}},
+			errors: [{
+				message: '\'@enact/moonstone\' is deprecated in Enact 4.0.0; use \'@enact/sandstone\' instead',
+				line: 1
+			}, {
+				messageId: 'deprecated',
+				line: 2
+			}]
+		},
+		{
+			code: "import ilib from '@enact/i18n/ilib';\nimport DateFmt from \"@enact/i18n/ilib/lib/DateFmt\";\nconst LocaleInfo = import('@enact/i18n/ilib/lib/LocaleInfo');\nexport * from '@enact/i18n/ilib/lib/IString';",
+			output: "import ilib from 'ilib';\nimport DateFmt from \"ilib/lib/DateFmt\";\nconst LocaleInfo = import('ilib/lib/LocaleInfo');\nexport * from 'ilib/lib/IString';",
+			errors: [{
+				message: '\'@enact/i18n/ilib\' was removed in Enact 3.0.0; use \'ilib\' instead'
+			}, {
+				messageId: 'removed'
+			}, {
+				messageId: 'removed'
+			}, {
+				messageId: 'removed'
+			}]
+		},
+		{
+			code: "import VirtualList, {VirtualListBase as Base} from '@enact/ui/VirtualList';\nconst t = <VirtualList component={renderItem} />;\nconst u = <Base component={renderItem} itemRenderer={renderItem} />;",
+			output: "import VirtualList, {VirtualListBase as Base} from '@enact/ui/VirtualList';\nconst t = <VirtualList itemRenderer={renderItem} />;\nconst u = <Base component={renderItem} itemRenderer={renderItem} />;",
+			errors: [{
+				message: 'The \'component\' prop of VirtualList was removed in Enact 2.0.0; use \'itemRenderer\' instead',
+				type: 'JSXIdentifier',
+				line: 2
+			}, {
+				message: 'The \'component\' prop of Base was removed in Enact 2.0.0; use \'itemRenderer\' instead',
+				line: 3
+			}]
+		},
+		{
+			code: "const Foo = kind({name: 'Foo', contextTypes: {}, render: () => <div />});",
+			errors: [{
+				message: 'The \'contextTypes\' property of kind() was removed in Enact 3.0.0; use \'contextType\' instead',
+				type: 'Identifier'
+			}]
+		},
+		{
+			code: "const Foo = component({name: 'Foo', contextTypes: {}});",
+			settings: {enact: {kind: 'component'}},
+			errors: [{
+				messageId: 'removed'
+			}]
+		},
+		{
+			code: "import Toggleable from '@enact/ui/Toggleable';\nconst T = Toggleable({active: 'selected'}, Base);\nconst U = Toggleable({'active': 'a', toggle: null})(Base);",
+			output: "import Toggleable from '@enact/ui/Toggleable';\nconst T = Toggleable({prop: 'selected'}, Base);\nconst U = Toggleable({'prop': 'a', toggle: null})(Base);",
+			settings: decoratorSettings,
+			errors: [{
+				message: 'The \'active\' config option of Toggleable is deprecated in Enact 3.0.0; use \'prop\' instead',
+				type: 'Identifier'
+			}, {
+				messageId: 'deprecated',
+				type: 'Literal'
+			}]
+		},
+		{
+			code: "import {Toggleable as T} from '@enact/ui/Toggleable';\nconst A = T({active: 'a', prop: 'b'}, Base);",
+			settings: decoratorSettings,
+			errors: [{
+				message: 'The \'active\' config option of T is deprecated in Enact 3.0.0; use \'prop\' instead'
+			}]
+		},
+		{
+			code: "import Old from 'my-lib/Old';",
+			settings: {enact: {version: '4.5.0', deprecations: [{type: 'module', name: 'my-lib/Old', since: '4.5.0'}]}},
+			errors: [{
+				message: '\'my-lib/Old\' is deprecated in Enact 4.5.0'
+			}]
+		}
+	]
+});
@@ -0,0 +1,92 @@
+'use strict';
+
+const rule = require('../../lib/rules/no-direct-classname-concat'),
+	RuleTester = require('eslint').RuleTester;
+
+RuleTester.setDefaultConfig({
+	languageOptions: {
+		ecmaVersion: 2018,
+		sourceType: "module",
+		parserOptions: {
+			ecmaFeatures: {
+				jsx: true
+			}
+		}
+	}
+});
+
+const ruleTester = new RuleTester();
+
+ruleTester.run('no-direct-classname-concat', rule, {
+
+	valid: [
+		"const t = kind({render: ({className}) => <div className={className} />});",
+		"const t = kind({render: ({css}) => <div className={css.icon} />});",
+		"const t = kind({render: ({css}) => <div className={classnames(css.icon, css.large)} />});",
+		"const t = kind({render: ({size}) => <div className={'icon ' + size} />});",
+		"const t = kind({render: ({css}) => <div className={`icon`} />});",
+		// Only kind render functions are checked
+		"const t = kind({computed: {className: ({css}) => <div className={css.a + ' ' + css.b} />}});",
+		"const t = () => <div className={css.a + ' ' + css.b} />;",
+		"const t = other({render: ({css}) => <div className={css.a + ' ' + css.b} />});"
+	],
+
+	invalid: [
+		{
+			code: "import React from 'react';\nconst t = kind({render: ({css}) => <div className={css.icon + ' ' + css.large} />});",
+			errors: [{
+				message: 'Do not concatenate css class names; use classnames or the kind styles instead',
+				type: 'BinaryExpression',
+				suggestions: [{
+					messageId: 'useClassnames',
+					output: "import React from 'react';\nimport classnames from 'classnames';\nconst t = kind({render: ({css}) => <div className={classnames(css.icon, css.large)} />});"
+				}]
+			}]
+		},
+		{
+			code: "import classNames from 'classnames';\nconst t = kind({render ({css, size}) { return <div className={`${css.icon} ${css[size]} active`} />; }});",
+			errors: [{
+				messageId: 'noConcat',
+				type: 'TemplateLiteral',
+				suggestions: [{
+					messageId: 'useClassnames',
+					output: "import classNames from 'classnames';\nconst t = kind({render ({css, size}) { return <div className={classNames(css.icon, css[size], 'active')} />; }});"
+				}]
+			}]
+		},
+		{
+			code: "const t = kind({render: ({css, items}) => <ul>{items.map((item) => <li className={css.item + ' ' + item.className} />)}</ul>});",
+			errors: [{
+				messageId: 'noConcat',
+				suggestions: [{
+					messageId: 'useClassnames',
+					output: "import classnames from 'classnames';\nconst t = kind({render: ({css, items}) => <ul>{items.map((item) => <li className={classnames(css.item, item.className)} />)}</ul>});"
+				}]
+			}]
+		},
+		{
+			// Class names joined without whitespace cannot be split
+			code: "const t = kind({render: ({css, size}) => <div className={css.icon + size} />});",
+			errors: [{messageId: 'noConcat', suggestions: []}]
+		},
+		{
+			code: "const t = kind({render: ({css, size}) => <div className={`${css.icon}${size}`} />});",
+			errors: [{messageId: 'noConcat', suggestions: []}]
+		},
+		{
+			code: "const t = kind({render: ({css, size}) => <div className={`${css.icon}-${size}`} />});",
+			errors: [{messageId: 'noConcat', suggestions: []}]
+		},
+		{
+			code: "const t = factory({render: ({css}) => <div className={css.a + ' ' + css.b} />});",
+			settings: {enact: {kind: 'factory'}},
+			errors: [{
+				messageId: 'noConcat',
+				suggestions: [{
+					messageId: 'useClassnames',
+					output: "import classnames from 'classnames';\nconst t = factory({render: ({css}) => <div className={classnames(css.a, css.b)} />});"
+				}]
+			}]
+		}
+	]
+});
@@ -0,0 +1,90 @@
+'use strict';
+
+const rule = require('../../lib/rules/no-duplicate-decorators'),
+	RuleTester = require('eslint').RuleTester;
+
+RuleTester.setDefaultConfig({
+	languageOptions: {
+		ecmaVersion: 2018,
+		sourceType: "module",
+		parserOptions: {
+			ecmaFeatures: {
+				jsx: true
+			}
+		}
+	}
+});
+
+const ruleTester = new RuleTester();
+
+ruleTester.run('no-duplicate-decorators', rule, {
+
+	valid: [
+		"import {compose} from '@enact/core/util';\nconst Decorator = compose(Pure, Spottable, Skinnable);",
+		"const Item = Pure(Spottable(Skinnable(ItemBase)));",
+		"import {compose} from '@enact/core/util';\nconst Decorator = compose(Spottable, Skinnable);\nconst A = Decorator(ABase);\nconst B = Decorator(BBase);",
+		"const Base = Spottable(ItemBase);\nconst Item = Skinnable(Base);",
+		"const Item = connect(connect(ItemBase));",
+		"import {compose} from 'ramda';\nconst f = compose(map(a), filter(b), map(c));",
+		"import {compose} from '@enact/core/util';\nconst f = compose(map(a), filter(b), map(c));",
+		"const s = String(String(x));",
+		// Variables which may be reassigned are not followed
+		"let Base = Spottable(ItemBase);\nconst Item = Spottable(Base);",
+		"const Base = Spottable(ItemBase);\nfunction f (Base) { return Spottable(Base); }",
+		{
+			code: "const Item = Changeable({prop: 'open'}, Changeable({prop: 'value'}, ItemBase));",
+			options: [{ignore: ['Changeable']}]
+		}
+	],
+
+	invalid: [
+		{
+			code: "import {compose} from '@enact/core/util';\nconst Decorator = compose(Spottable, Skinnable, Spottable);",
+			errors: [{
+				message: '\'Spottable\' is already applied to this component',
+				type: 'Identifier',
+				line: 2,
+				column: 27
+			}]
+		},
+		{
+			code: "const Item = Touchable(Skinnable(Touchable({activeProp: 'pressed'})(ItemBase)));",
+			errors: [{
+				messageId: 'duplicateDecorator',
+				data: {name: 'Touchable'},
+				type: 'CallExpression',
+				column: 14
+			}]
+		},
+		{
+			code: "const ItemBase = Spottable(Skinnable(Base));\nconst Item = Pure(Spottable(ItemBase));",
+			errors: [{
+				messageId: 'duplicateDecorator',
+				data: {name: 'Spottable'},
+				line: 2,
+				column: 19
+			}]
+		},
+		{
+			code: "import {compose as c} from '@enact/core/util';\nconst Decorator = c(MarqueeDecorator, Spottable);\nconst Panel = SpotlightContainerDecorator({}, Decorator(MarqueeDecorator(PanelBase)));",
+			errors: [{
+				messageId: 'duplicateDecorator',
+				data: {name: 'MarqueeDecorator'},
+				line: 2,
+				column: 21
+			}]
+		},
+		{
+			code: "import {Marquee as M} from '@enact/sandstone/Marquee';\nimport {compose} from '@enact/core/util';\nconst Inner = M(Base);\nconst Outer = compose(Pure, M)(Inner);\nexport default Pure(Outer);",
+			errors: [{
+				messageId: 'duplicateDecorator',
+				data: {name: 'Marquee'},
+				line: 4
+			}, {
+				messageId: 'duplicateDecorator',
+				data: {name: 'Pure'},
+				line: 5
+			}]
+		}
+	]
+});
@@ -0,0 +1,191 @@
+'use strict';
+
+const path = require('path');
+const rule = require('../../lib/rules/no-module-exports-import'),
+	RuleTester = require('eslint').RuleTester;
+
+RuleTester.setDefaultConfig({
+	languageOptions: {
+		ecmaVersion: 2018,
+		sourceType: "module"
+	}
+});
+
+const ruleTester = new RuleTester();
+
+const message = 'No CommonJS exports when using ES6 import statements';
+
+ruleTester.run('no-module-exports-import', rule, {
+
+	valid: [
+		"import thing from 'other-thing';\nexport default thing;",
+		"const thing = require('thing');\nmodule.exports = thing;",
+		"const thing = require('thing');\nexports.foo = bar;",
+		"import thing from 'otherthing';\nconsole.log(thing.module.exports);",
+		"import thing from 'otherthing';\nfunction f(module, exports) {\n\tmodule.exports = thing;\n\texports.foo = thing;\n}",
+		{
+			code: "import foo from 'path';\nmodule.exports = foo;",
+			filename: path.join(process.cwd(), 'src', 'some-file.js'),
+			options: [{exceptions: ['**/*/some-file.js']}]
+		},
+		{
+			code: "import foo from 'path';\nmodule.exports = foo;",
+			filename: path.join(process.cwd(), 'config', 'webpack.js'),
+			options: [{exceptions: ['config/*.js']}]
+		},
+		"const foo = require('foo');\nconst bar = require.resolve('bar');",
+		"import foo from 'foo';\nfunction load(require) {\n\treturn require('bar');\n}",
+		{
+			code: "import foo from 'foo';\nconst logo = require('./logo.png');\nconst icon = require(`./icons/star.SVG?inline`);\nrequire('./App.module.less');",
+			options: [{allowAssetRequire: true}]
+		}
+	],
+
+	invalid: [
+		{
+			code: "import { stuff } from 'starwars';\nmodule.exports = thing;",
+			output: "import { stuff } from 'starwars';\nexport default thing;",
+			errors: [{
+				message: message,
+				type: 'MemberExpression'
+			}]
+		},
+		{
+			code: "import { stuff } from 'starwars';\nmodule.exports = thing;",
+			output: "import { stuff } from 'starwars';\nexport default thing;",
+			languageOptions: {
+				globals: {
+					module: 'readonly',
+					exports: 'writable'
+				}
+			},
+			errors: [{
+				message: message
+			}]
+		},
+		{
+			// Exports before the first import are reported
+			code: "module.exports = (a || b); // the default\nimport thing from 'starwars';",
+			output: "export default (a || b); // the default\nimport thing from 'starwars';",
+			errors: [{
+				message: message,
+				line: 1
+			}]
+		},
+		{
+			code: "import * as allThings from 'starwars';\nexports.bar = thing;",
+			output: null,
+			errors: [{
+				message: message,
+				type: 'MemberExpression'
+			}]
+		},
+		{
+			code: "import thing from 'starwars';\nconst baz = module.exports = thing;\nconsole.log(baz);",
+			output: null,
+			errors: [{
+				message: message
+			}]
+		},
+		{
+			code: "import thing from 'starwars';\nmodule.exports = thing;\nmodule.exports.other = thing;\nmodule['exports'].third = thing;",
+			output: null,
+			errors: [{
+				message: message,
+				line: 2
+			}, {
+				message: message,
+				line: 3
+			}, {
+				message: message,
+				line: 4
+			}]
+		},
+		{
+			code: "import thing from 'starwars';\nexport default thing;\nmodule.exports = thing;",
+			output: null,
+			errors: [{
+				message: 'No ES6 export statements when using CommonJS exports',
+				type: 'ExportDefaultDeclaration'
+			}, {
+				message: message
+			}]
+		},
+		{
+			code: "import foo from 'foo';\nconst bar = require('bar');\nconst baz = require(\"./baz\")\nlet qux = require('qux');",
+			output: "import foo from 'foo';\nimport bar from 'bar';\nimport baz from \"./baz\"\nlet qux = require('qux');",
+			errors: [{
+				message: 'No CommonJS require() when using ES6 import or export statements',
+				type: 'CallExpression',
+				line: 2
+			}, {
+				messageId: 'commonJSRequire',
+				line: 3
+			}, {
+				messageId: 'commonJSRequire',
+				line: 4
+			}]
+		},
+		{
+			code: "const {a, b} = require('ab');\nconst c = require('c').default;\nconst d = require(name);\nexport const e = () => require('e');",
+			output: null,
+			errors: [{
+				messageId: 'commonJSRequire',
+				line: 1
+			}, {
+				messageId: 'commonJSRequire',
+				line: 2
+			}, {
+				messageId: 'commonJSRequire',
+				line: 3
+			}, {
+				messageId: 'commonJSRequire',
+				line: 4
+			}]
+		},
+		{
+			code: "import foo from 'foo';\nconst logo = require('./logo.png');\nconst data = require('./data.json');",
+			output: "import foo from 'foo';\nimport logo from './logo.png';\nimport data from './data.json';",
+			errors: [{
+				messageId: 'commonJSRequire',
+				line: 2
+			}, {
+				messageId: 'commonJSRequire',
+				line: 3
+			}]
+		},
+		{
+			code: "import foo from 'foo';\nconst logo = require('./logo.png');\nconst data = require('./data.json');",
+			output: "import foo from 'foo';\nconst logo = require('./logo.png');\nimport data from './data.json';",
+			options: [{allowAssetRequire: true}],
+			errors: [{
+				messageId: 'commonJSRequire',
+				line: 3
+			}]
+		},
+		{
+			code: "const foo = require('foo');\nexport const bar = foo;\nexport {foo};\nmodule.exports.baz = foo;",
+			output: "import foo from 'foo';\nexport const bar = foo;\nexport {foo};\nmodule.exports.baz = foo;",
+			errors: [{
+				messageId: 'commonJSRequire',
+				line: 1
+			}, {
+				message: 'No ES6 export statements when using CommonJS exports',
+				type: 'ExportNamedDeclaration',
+				line: 2
+			}, {
+				messageId: 'moduleExport',
+				line: 3
+			}]
+		},
+		{
+			code: "import foo from 'path';\nif (foo) {\n\tmodule.exports = foo;\n}",
+			filename: path.join(process.cwd(), 'src', 'other-file.js'),
+			options: [{exceptions: ['**/*/some-file.js']}],
+			output: null,
+			errors: [{
+				message: message
+			}]
+		}
+	]
+});
@@ -0,0 +1,82 @@
+'use strict';
+
+const rule = require('../../lib/rules/no-undeclared-kind-props'),
+	RuleTester = require('eslint').RuleTester;
+
+RuleTester.setDefaultConfig({
+	languageOptions: {
+		ecmaVersion: 2018,
+		sourceType: "module",
+		parserOptions: {
+			ecmaFeatures: {
+				jsx: true
+			}
+		}
+	}
+});
+
+const ruleTester = new RuleTester();
+
+ruleTester.run('no-undeclared-kind-props', rule, {
+
+	valid: [
+		"const t = kind({propTypes: {label: PropTypes.string}, render: ({label}) => <div>{label}</div>});",
+		"const t = kind({propTypes: {label: PropTypes.string}, render: (props) => <div>{props.label}</div>});",
+		"const t = kind({propTypes: {children: PropTypes.node}, computed: {label: ({children}) => children}, render: ({label}) => <div>{label}</div>});",
+		"const t = kind({propTypes: {onSelect: PropTypes.func}, handlers: {onClick: (ev, {onSelect}) => onSelect()}, render: ({onClick}) => <div onClick={onClick} />});",
+		"const t = kind({propTypes: {label: PropTypes.string}, defaultProps: {label: 'Hello'}, render: ({label}) => <div>{label}</div>});",
+		// Props injected by styles
+		"const t = kind({styles: {css, className: 'hello'}, render: ({className, css, styler}) => <div className={className} />});",
+		// Props declared elsewhere cannot be checked
+		"const t = kind({propTypes: {...Base.propTypes}, render: ({label}) => <div>{label}</div>});",
+		"const t = kind({propTypes: Base.propTypes, defaultProps: {label: 'Hello'}, render: ({label}) => <div>{label}</div>});",
+		"const t = kind({...base, render: ({label}) => <div>{label}</div>});",
+		// Only kind() definitions are checked
+		"const t = other({render: ({label}) => <div>{label}</div>});",
+		{
+			code: "const t = kind({render: ({children}) => <div>{children}</div>});",
+			options: [{ignore: ['children']}]
+		}
+	],
+
+	invalid: [
+		{
+			code: "const t = kind({propTypes: {label: PropTypes.string}, render: ({label, title}) => <div title={title}>{label}</div>});",
+			errors: [{
+				message: '\'title\' is missing in propTypes',
+				type: 'Identifier'
+			}]
+		},
+		{
+			code: "const t = kind({render: (props) => <div className={props.className}>{props.label}</div>});",
+			errors: [
+				{messageId: 'undeclaredProp', data: {name: 'className'}},
+				{messageId: 'undeclaredProp', data: {name: 'label'}}
+			]
+		},
+		{
+			code: "const t = kind({propTypes: {}, computed: {label: ({children}) => children}, render: ({label}) => <div>{label}</div>});",
+			errors: [{messageId: 'undeclaredProp', data: {name: 'children'}, line: 1, column: 52}]
+		},
+		{
+			code: "const t = kind({propTypes: {}, handlers: {onClick: (ev, props) => props.onSelect()}, render: ({onClick}) => <div onClick={onClick} />});",
+			errors: [{messageId: 'undeclaredProp', data: {name: 'onSelect'}}]
+		},
+		{
+			code: "const t = kind({propTypes: {}, render: ({children, ...rest}) => <div {...rest}>{children}</div>});",
+			errors: [{messageId: 'undeclaredProp', data: {name: 'children'}}]
+		},
+		{
+			code: "const t = kind({propTypes: {label: PropTypes.string}, defaultProps: {label: 'Hello', size: 'large'}, render: ({label}) => <div>{label}</div>});",
+			errors: [{
+				message: 'Default prop \'size\' has no matching propTypes entry',
+				type: 'Identifier'
+			}]
+		},
+		{
+			code: "const t = factory({render: ({label}) => <div>{label}</div>});",
+			settings: {enact: {kind: 'factory'}},
+			errors: [{messageId: 'undeclaredProp'}]
+		}
+	]
+});
@@ -0,0 +1,101 @@
+'use strict';
+
+const rule = require('../../lib/rules/no-unknown-kind-property'),
+	RuleTester = require('eslint').RuleTester;
+
+RuleTester.setDefaultConfig({
+	languageOptions: {
+		ecmaVersion: 2018,
+		sourceType: "module",
+		parserOptions: {
+			ecmaFeatures: {
+				jsx: true
+			}
+		}
+	}
+});
+
+const ruleTester = new RuleTester();
+
+ruleTester.run('no-unknown-kind-property', rule, {
+
+	valid: [
+		"const t = kind({name: 'Hello', functional: true, propTypes: {}, defaultProps: {}, contextType: Ctx, styles: {}, handlers: {}, computed: {}, render: () => <div />});",
+		"const t = kind({'name': 'Hello', render () { return <div />; }});",
+		// Spread and computed keys cannot be checked
+		"const t = kind({...base, [key]: 1});",
+		// Only kind() definitions are checked
+		"const t = other({foo: 1});",
+		"const t = kind({name: 'Hello', styles: {foo: 1}});",
+		{
+			code: "const t = kind({name: 'Hello', mixins: []});",
+			settings: {enact: {kindProperties: ['mixins']}}
+		}
+	],
+
+	invalid: [
+		{
+			code: "const t = kind({name: 'Hello', handler: {}});",
+			errors: [{
+				message: 'Unknown kind property \'handler\'. Did you mean \'handlers\'?',
+				type: 'Identifier',
+				suggestions: [{
+					messageId: 'replaceProperty',
+					data: {name: 'handler', suggestion: 'handlers'},
+					output: "const t = kind({name: 'Hello', handlers: {}});"
+				}]
+			}]
+		},
+		{
+			code: "const t = kind({name: 'Hello', computeds: {}});",
+			errors: [{
+				messageId: 'unknownPropertySuggestion',
+				suggestions: [{
+					messageId: 'replaceProperty',
+					output: "const t = kind({name: 'Hello', computed: {}});"
+				}]
+			}]
+		},
+		{
+			code: "const t = kind({name: 'Hello', 'defaultprops': {}});",
+			errors: [{
+				messageId: 'unknownPropertySuggestion',
+				data: {name: 'defaultprops', suggestion: 'defaultProps'},
+				suggestions: [{
+					messageId: 'replaceProperty',
+					output: "const t = kind({name: 'Hello', 'defaultProps': {}});"
+				}]
+			}]
+		},
+		{
+			code: "const t = kind({name: 'Hello', propType});",
+			errors: [{
+				messageId: 'unknownPropertySuggestion',
+				suggestions: [{
+					messageId: 'replaceProperty',
+					output: "const t = kind({name: 'Hello', propTypes: propType});"
+				}]
+			}]
+		},
+		{
+			code: "const t = kind({name: 'Hello', mixins: []});",
+			errors: [{
+				message: 'Unknown kind property \'mixins\'',
+				type: 'Identifier',
+				suggestions: []
+			}]
+		},
+		{
+			code: "const t = factory({name: 'Hello', mixin: []});",
+			settings: {enact: {kind: 'factory', kindProperties: ['mixins']}},
+			errors: [{
+				messageId: 'unknownPropertySuggestion',
+				data: {name: 'mixin', suggestion: 'mixins'},
+				suggestions: [{
+					messageId: 'replaceProperty',
+					output: "const t = factory({name: 'Hello', mixins: []});"
+				}]
+			}]
+		}
+	]
+});
@@ -0,0 +1,78 @@
+'use strict';
+
+const rule = require('../../lib/rules/no-unused-computed'),
+	RuleTester = require('eslint').RuleTester;
+
+RuleTester.setDefaultConfig({
+	languageOptions: {
+		ecmaVersion: 2018,
+		sourceType: "module",
+		parserOptions: {
+			ecmaFeatures: {
+				jsx: true
+			}
+		}
+	}
+});
+
+const ruleTester = new RuleTester();
+
+ruleTester.run('no-unused-computed', rule, {
+
+	valid: [
+		"const t = kind({computed: {label: ({children}) => children}, handlers: {onClick: (ev, props) => props.onSelect()}, render: ({label, onClick}) => <div onClick={onClick}>{label}</div>});",
+		"const t = kind({computed: {label: ({children}) => children}, render: (props) => <div>{props.label}</div>});",
+		"const t = kind({computed: {label: ({children}) => children}, render: (props) => <div>{props['label']}</div>});",
+		"const t = kind({computed: {label: ({children}) => children}, render: (props) => { const {label} = props; return <div>{label}</div>; }});",
+		// Used by another computed property
+		"const t = kind({computed: {label: ({children}) => children, text: ({label}) => label}, render: ({text}) => <div>{text}</div>});",
+		// Forwarded through a rest spread
+		"const t = kind({computed: {label: ({children}) => children}, render: ({children, ...rest}) => <div {...rest}>{children}</div>});",
+		"const t = kind({computed: {label: ({children}) => children}, render: (props) => <div {...props} />});",
+		"const t = kind({computed: {label: ({children}) => children}, render: (props) => { const {children, ...rest} = props; return <div {...rest} />; }});",
+		// Usage which cannot be determined statically
+		"const t = kind({computed: {label: ({children}) => children}, render: (props) => <div>{props[key]}</div>});",
+		"const t = kind({computed: {label: ({children}) => children}, render: (props) => renderLabel(props)});",
+		"const t = kind({computed: {label: ({children}) => children}, render: renderLabel});",
+		"const t = kind({...base, computed: {label: ({children}) => children}, render: () => <div />});",
+		// Only kind() definitions are checked
+		"const t = other({computed: {label: ({children}) => children}, render: () => <div />});"
+	],
+
+	invalid: [
+		{
+			code: "const t = kind({computed: {label: ({children}) => children}, render: ({children}) => <div>{children}</div>});",
+			errors: [{
+				message: 'Computed property \'label\' is never used',
+				type: 'Identifier'
+			}]
+		},
+		{
+			code: "const t = kind({handlers: {onClick: (ev, props) => props.onSelect()}, render: (props) => <div>{props.children}</div>});",
+			errors: [{
+				message: 'Handler \'onClick\' is never used',
+				type: 'Identifier'
+			}]
+		},
+		{
+			code: "const t = kind({computed: {label: ({label}) => label.toUpperCase(), constructor: () => 1}, render: () => <div />});",
+			errors: [
+				{messageId: 'unusedComputed', data: {name: 'label'}},
+				{messageId: 'unusedComputed', data: {name: 'constructor'}}
+			]
+		},
+		{
+			code: "const t = kind({computed: {label: ({children}) => children}, render: ({children, ...rest}) => <div>{children}</div>});",
+			errors: [{messageId: 'unusedComputed', data: {name: 'label'}}]
+		},
+		{
+			code: "const t = kind({computed: {label: ({children}) => children}, render: (props) => { const {children, ...rest} = props; return <div>{children}</div>; }});",
+			errors: [{messageId: 'unusedComputed', data: {name: 'label'}}]
+		},
+		{
+			code: "const t = factory({computed: {label: ({children}) => children}, render: function () { return <div />; }});",
+			settings: {enact: {kind: 'factory'}},
+			errors: [{messageId: 'unusedComputed'}]
+		}
+	]
+});
@@ -0,0 +1,232 @@
+'use strict';
+
+const rule = require('../../lib/rules/prefer-handle-over-inline-handlers'),
+	RuleTester = require('eslint').RuleTester;
+
+RuleTester.setDefaultConfig({
+	languageOptions: {
+		ecmaVersion: 2018,
+		sourceType: "module",
+		parserOptions: {
+			ecmaFeatures: {
+				jsx: true
+			}
+		}
+	}
+});
+
+const ruleTester = new RuleTester();
+
+ruleTester.run('prefer-handle-over-inline-handlers', rule, {
+
+	valid: [
+		"const t = kind({handlers: {onClick: (ev, {onSelect}) => onSelect()}, render: ({onClick}) => <div onClick={onClick} />});",
+		"const t = kind({render: ({onSelect}) => <div onClick={onSelect} />});",
+		"const t = kind({render: ({renderItem}) => <List itemRenderer={() => <div />} />});",
+		"const t = kind({render: ({onSelect}) => <div onClick={handleClick} />});",
+		// Only kind render functions are checked
+		"const t = kind({computed: {item: ({onSelect}) => <div onClick={() => onSelect()} />}});",
+		"const t = ({onSelect}) => <div onClick={() => onSelect()} />;",
+		"const t = other({render: ({onSelect}) => <div onClick={() => onSelect()} />});",
+		{
+			code: "const t = factory({handlers: {}, render: ({onClick}) => <div onClick={onClick} />});",
+			settings: {
+				enact: {
+					kind: 'factory'
+				}
+			}
+		}
+	],
+
+	invalid: [
+		{
+			code: "const t = kind({render: ({onSelect, index}) => <div onClick={() => onSelect(index)} />});",
+			errors: [{
+				message: 'Inline onClick handler is recreated on every render; move it to the kind handlers',
+				type: 'ArrowFunctionExpression',
+				suggestions: [{
+					messageId: 'moveToHandlers',
+					data: {name: 'onClick', handler: 'handleClick'},
+					output: "const t = kind({handlers: {handleClick: (ev, {onSelect, index}) => onSelect(index)}, render: ({onSelect, index, handleClick}) => <div onClick={handleClick} />});"
+				}]
+			}]
+		},
+		{
+			code: [
+				"const t = kind({",
+				"\tname: 'Item',",
+				"\thandlers: {",
+				"\t\tonFocus: (ev, {onSpotlight}) => onSpotlight()",
+				"\t},",
+				"\trender: ({index, onSelect: select, ...rest}) => (",
+				"\t\t<div {...rest.inner} onClick={(ev) => { select({index, x: ev.x}); }} />",
+				"\t)",
+				"});"
+			].join('\n'),
+			errors: [{
+				// The rest element may forward the component's own event props
+				messageId: 'inlineHandler',
+				suggestions: []
+			}]
+		},
+		{
+			code: [
+				"const t = kind({",
+				"\tname: 'Item',",
+				"\thandlers: {",
+				"\t\tonFocus: (ev, {onSpotlight}) => onSpotlight()",
+				"\t},",
+				"\trender: ({index, onSelect: select, ...rest}) => (",
+				"\t\t<div className={css.item} onClick={(ev) => { select({index, x: ev.x}); }} />",
+				"\t)",
+				"});"
+			].join('\n'),
+			errors: [{
+				messageId: 'inlineHandler',
+				suggestions: [{
+					messageId: 'moveToHandlers',
+					output: [
+						"const t = kind({",
+						"\tname: 'Item',",
+						"\thandlers: {",
+						"\t\tonFocus: (ev, {onSpotlight}) => onSpotlight(),",
+						"\t\thandleClick: (ev, {onSelect: select, index}) => { select({index, x: ev.x}); }",
+						"\t},",
+						"\trender: ({index, onSelect: select, handleClick, ...rest}) => (",
+						"\t\t<div className={css.item} onClick={handleClick} />",
+						"\t)",
+						"});"
+					].join('\n')
+				}]
+			}]
+		},
+		{
+			code: [
+				"const t = kind({",
+				"  name: 'Item',",
+				"  render: (props) => <div onKeyDown={() => props.onSelect({value: props.value})} />",
+				"});"
+			].join('\n'),
+			errors: [{
+				messageId: 'inlineHandler',
+				suggestions: [{
+					messageId: 'moveToHandlers',
+					output: [
+						"const t = kind({",
+						"  name: 'Item',",
+						"  handlers: {",
+						"    handleKeyDown: (ev, props) => props.onSelect({value: props.value})",
+						"  },",
+						"  render: (props) => <div onKeyDown={props.handleKeyDown} />",
+						"});"
+					].join('\n')
+				}]
+			}]
+		},
+		{
+			code: "const t = kind({handlers: {}, render: ({onClick}) => <div onClick={(ev) => onClick({type: 'click'})} />});",
+			errors: [{
+				messageId: 'inlineHandler',
+				suggestions: [{
+					messageId: 'moveToHandlers',
+					output: "const t = kind({handlers: {handleClick: (ev, {onClick}) => onClick({type: 'click'})}, render: ({onClick, handleClick}) => <div onClick={handleClick} />});"
+				}]
+			}]
+		},
+		{
+			code: "const t = kind({render: () => <div onClick={() => console.log('click')} />});",
+			errors: [{
+				messageId: 'inlineHandler',
+				suggestions: [{
+					messageId: 'moveToHandlers',
+					output: "const t = kind({handlers: {handleClick: () => console.log('click')}, render: ({handleClick}) => <div onClick={handleClick} />});"
+				}]
+			}]
+		},
+		{
+			code: "const t = kind({name: 'T', render: function render () {\n\tconst x = 1;\n\treturn <div onClick={(ev) => log(ev, x)} onBlur={(ev) => log(ev)} />;\n}});",
+			errors: [{messageId: 'inlineHandler', suggestions: []}, {
+				messageId: 'inlineHandler',
+				suggestions: [{
+					messageId: 'moveToHandlers',
+					output: "const t = kind({name: 'T', handlers: {handleBlur: (ev) => log(ev)}, render: function render ({handleBlur}) {\n\tconst x = 1;\n\treturn <div onClick={(ev) => log(ev, x)} onBlur={handleBlur} />;\n}});"
+				}]
+			}]
+		},
+		{
+			code: "const t = kind({render: ({}) => <div onClick={() => log()} />});",
+			errors: [{
+				messageId: 'inlineHandler',
+				suggestions: [{
+					messageId: 'moveToHandlers',
+					output: "const t = kind({handlers: {handleClick: () => log()}, render: ({handleClick}) => <div onClick={handleClick} />});"
+				}]
+			}]
+		},
+		{
+			// Variables local to render are not available to handlers
+			code: "const t = kind({render: ({items, onSelect}) => <ul>{items.map((item) => <li onClick={() => onSelect(item)} />)}</ul>});",
+			errors: [{messageId: 'inlineHandler', suggestions: []}]
+		},
+		{
+			// Computed props are not passed to handlers
+			code: "const t = kind({computed: {value: ({a}) => a * 2}, render: ({onSelect, value}) => <div onClick={() => onSelect(value)} />});",
+			errors: [{messageId: 'inlineHandler', suggestions: []}]
+		},
+		{
+			// Names used by props, handlers or render are not reused
+			code: "const t = kind({propTypes: {handleClick: PropTypes.func}, handlers: {handleClick2: () => {}}, render: ({handleClick3, onSelect}) => <div onClick={() => onSelect()}><a onClick={handleClick3} /></div>});",
+			errors: [{
+				messageId: 'inlineHandler',
+				suggestions: [{
+					messageId: 'moveToHandlers',
+					data: {name: 'onClick', handler: 'handleClick4'},
+					output: "const t = kind({propTypes: {handleClick: PropTypes.func}, handlers: {handleClick2: () => {}, handleClick4: (ev, {onSelect}) => onSelect()}, render: ({handleClick3, onSelect, handleClick4}) => <div onClick={handleClick4}><a onClick={handleClick3} /></div>});"
+				}]
+			}]
+		},
+		{
+			code: "const t = kind({render: (props) => <div onClick={() => props.onSelect(props.handleClick)} />});",
+			errors: [{
+				messageId: 'inlineHandler',
+				suggestions: [{
+					messageId: 'moveToHandlers',
+					output: "const t = kind({handlers: {handleClick2: (ev, props) => props.onSelect(props.handleClick)}, render: (props) => <div onClick={props.handleClick2} />});"
+				}]
+			}]
+		},
+		{
+			// The props object is forwarded along with the component's own event props
+			code: "const t = kind({render: (props) => <div {...props}><b onClick={() => props.onSelect()} /></div>});",
+			errors: [{messageId: 'inlineHandler', suggestions: []}]
+		},
+		{
+			code: "const t = kind({render: ({children, ...rest}) => <div {...rest}><b onClick={() => log()} /></div>});",
+			errors: [{messageId: 'inlineHandler', suggestions: []}]
+		},
+		{
+			// The props of the component cannot be determined
+			code: "const t = kind({propTypes: Base.propTypes, render: ({onSelect}) => <div onClick={() => onSelect()} />});",
+			errors: [{messageId: 'inlineHandler', suggestions: []}]
+		},
+		{
+			code: "const t = kind({render: ({onSelect}) => <div onClick={function () { onSelect(this); }} />});",
+			errors: [{messageId: 'inlineHandler', type: 'FunctionExpression', suggestions: []}]
+		},
+		{
+			code: "const t = factory({render: ({onSelect}) => <div onClick={() => onSelect()} />});",
+			settings: {
+				enact: {
+					kind: 'factory'
+				}
+			},
+			errors: [{
+				messageId: 'inlineHandler',
+				suggestions: [{
+					messageId: 'moveToHandlers',
+					output: "const t = factory({handlers: {handleClick: (ev, {onSelect}) => onSelect()}, render: ({onSelect, handleClick}) => <div onClick={handleClick} />});"
+				}]
+			}]
+		}
+	]
+});
@@ -0,0 +1,105 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const rule = require('../../lib/rules/spotlight-id-unique'),
+	RuleTester = require('eslint').RuleTester;
+
+RuleTester.setDefaultConfig({
+	languageOptions: {
+		ecmaVersion: 2018,
+		sourceType: "module",
+		parserOptions: {
+			ecmaFeatures: {
+				jsx: true
+			}
+		}
+	}
+});
+
+const ruleTester = new RuleTester();
+
+// Project with a file using the 'shared' id recorded in the cache file
+const root = fs.mkdtempSync(path.join(os.tmpdir(), 'spotlight-id-unique-'));
+const cacheFile = path.join(root, '.spotlight-ids.json');
+const filename = path.join(root, 'src', 'App.js');
+fs.mkdirSync(path.join(root, 'src'));
+fs.writeFileSync(path.join(root, 'src', 'Other.js'), '');
+fs.writeFileSync(cacheFile, JSON.stringify({
+	'src/Other.js': ['shared'],
+	'src/Removed.js': ['removed']
+}));
+
+ruleTester.run('spotlight-id-unique', rule, {
+
+	valid: [
+		"const t = <div><Item spotlightId='first' /><Item spotlightId='second' /></div>;",
+		"const t = <div><Item spotlightId={id} /><Item spotlightId={id} /></div>;",
+		"const t = <div><Item spotlightId={`item-${index}`} /><Item spotlightId={`item-${index}`} /></div>;",
+		"const t = <div><Item spotlightId='item' /><Item data-id='item' /></div>;",
+		"import Container from '@enact/spotlight/SpotlightContainerDecorator';\nconst Panel = Container({spotlightId: 'panel'}, PanelBase);\nconst t = <Item spotlightId='item' />;",
+		"const Panel = Other({spotlightId: 'panel'}, PanelBase);\nconst t = <Item spotlightId='panel' />;",
+		{
+			code: "const t = <div><Item spotlightId='unique' /><Item spotlightId='removed' /></div>;",
+			filename,
+			options: [{cacheFile}]
+		}
+	],
+
+	invalid: [
+		{
+			code: "const t = <div>\n<Item spotlightId='item' />\n<Item spotlightId='item' />\n</div>;",
+			errors: [{
+				message: 'Spotlight id \'item\' is already used on line 2',
+				type: 'Literal',
+				line: 3
+			}]
+		},
+		{
+			code: "const t = <div><Item spotlightId={'item'} /><div data-spotlight-id={`item`} /></div>;",
+			errors: [{
+				messageId: 'duplicateId',
+				data: {id: 'item', line: 1},
+				type: 'TemplateLiteral'
+			}]
+		},
+		{
+			code: "import SCD from '@enact/spotlight/SpotlightContainerDecorator';\nconst List = SCD({spotlightId: 'list', enterTo: 'last-focused'}, ListBase);\nconst Panel = SpotlightContainerDecorator({spotlightId: 'list'})(PanelBase);",
+			errors: [{
+				messageId: 'duplicateId',
+				data: {id: 'list', line: 2},
+				line: 3
+			}]
+		},
+		{
+			code: "const t = <div><Item spotlightId='shared' /><Item spotlightId='unique' /></div>;",
+			filename,
+			options: [{cacheFile}],
+			errors: [{
+				message: 'Spotlight id \'shared\' is already used in \'src/Other.js\'',
+				type: 'Literal'
+			}]
+		}
+	]
+});
+
+describe('spotlight-id-unique cache file', function () {
+	after(function () {
+		fs.rmSync(root, {recursive: true, force: true});
+	});
+
+	it('records the ids of each file and drops removed files', function () {
+		assert.deepStrictEqual(JSON.parse(fs.readFileSync(cacheFile, 'utf8')), {
+			'src/App.js': ['shared', 'unique'],
+			'src/Other.js': ['shared']
+		});
+	});
+
+	it('leaves no temporary files', function () {
+		assert.deepStrictEqual(fs.readdirSync(path.dirname(cacheFile)).filter(function (file) {
+			return /\.tmp$/.test(file);
+		}), []);
+	});
+});
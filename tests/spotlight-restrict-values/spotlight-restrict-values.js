@@ -0,0 +1,92 @@
+'use strict';
+
+const rule = require('../../lib/rules/spotlight-restrict-values'),
+	RuleTester = require('eslint').RuleTester;
+
+RuleTester.setDefaultConfig({
+	languageOptions: {
+		ecmaVersion: 2018,
+		sourceType: "module",
+		parserOptions: {
+			ecmaFeatures: {
+				jsx: true
+			}
+		}
+	}
+});
+
+const ruleTester = new RuleTester();
+
+ruleTester.run('spotlight-restrict-values', rule, {
+
+	valid: [
+		"import Spotlight from '@enact/spotlight';\nconst t = <div constructor='x' toString='y' />;",
+		"import Spotlight from '@enact/spotlight';\nconst t = <Panel spotlightRestrict='self-only' enterTo='last-focused' leaveFor={{left: '', right: 'menu'}} />;",
+		"import Spotlight from '@enact/spotlight';\nconst t = <Panel spotlightRestrict={restrict} enterTo={enterTo} leaveFor={leaveFor} />;",
+		"import Spotlight from '@enact/spotlight';\nSpotlight.set('list', {restrict: 'self-first', enterTo: 'default-element', defaultElement: '.selected', straightOnly: true});",
+		"import {Spotlight} from '@enact/spotlight';\nSpotlight.add({id: 'list', selector: '.item', leaveFor: null});",
+		"import SpotlightContainerDecorator from '@enact/spotlight/SpotlightContainerDecorator';\nconst List = SpotlightContainerDecorator({enterTo: 'last-focused', preserveId: true}, ListBase);",
+		"import Spotlight from '@enact/spotlight';\nSpotlight.set('list', {...config, restrict: 'none'});\nOther.set('list', {restrict: 'all'});",
+		// Files which do not import Spotlight are not checked
+		"const t = <Panel spotlightRestrict='self' enterTo='first' />;",
+		"Spotlight.set('list', {restrict: 'all', unknown: true});",
+		{
+			code: "import Spotlight from '@enact/spotlight';\nSpotlight.set('list', {custom: true});",
+			options: [{configKeys: ['custom']}]
+		}
+	],
+
+	invalid: [
+		{
+			code: "import Spottable from '@enact/spotlight/Spottable';\nconst t = <Panel spotlightRestrict='self' />;",
+			errors: [{
+				message: '\'self\' is not a valid spotlightRestrict value; expected one of \'none\', \'self-first\', \'self-only\'',
+				type: 'Literal'
+			}]
+		},
+		{
+			code: "import Spotlight from '@enact/spotlight';\nconst t = <Panel enterTo={'lastFocused'} leaveFor={{left: 'a', top: 'b'}} />;",
+			errors: [{
+				messageId: 'invalidValue',
+				data: {value: 'lastFocused', name: 'enterTo', expected: '\'last-focused\', \'default-element\''}
+			}, {
+				message: '\'top\' is not a valid leaveFor direction; expected one of \'left\', \'right\', \'up\', \'down\'',
+				type: 'Identifier'
+			}]
+		},
+		{
+			code: "import Spotlight from '@enact/spotlight';\nconst t = <Panel leaveFor='left' />;",
+			errors: [{
+				message: 'leaveFor must be an object of directions',
+				type: 'Literal'
+			}]
+		},
+		{
+			code: "import Spot from '@enact/spotlight';\nSpot.set('list', {restrict: `self-only`, enterto: 'last-focused', straightonly: true});",
+			errors: [{
+				message: '\'enterto\' is not a Spotlight container config option',
+				type: 'Identifier'
+			}, {
+				messageId: 'unknownConfigKey',
+				data: {name: 'straightonly'}
+			}]
+		},
+		{
+			code: "import {Spotlight} from '@enact/spotlight';\nSpotlight.add('list', {restrict: 'selfonly', leaveFor: {'down': 'footer', back: 'header'}});",
+			errors: [{
+				messageId: 'invalidValue',
+				data: {value: 'selfonly', name: 'restrict', expected: '\'none\', \'self-first\', \'self-only\''}
+			}, {
+				messageId: 'invalidDirection',
+				data: {direction: 'back', name: 'leaveFor', expected: '\'left\', \'right\', \'up\', \'down\''}
+			}]
+		},
+		{
+			code: "import {SpotlightContainerDecorator as Container} from '@enact/spotlight/SpotlightContainerDecorator';\nconst List = Container({enterTo: 'last', preserveId: true})(ListBase);",
+			errors: [{
+				messageId: 'invalidValue',
+				data: {value: 'last', name: 'enterTo', expected: '\'last-focused\', \'default-element\''}
+			}]
+		}
+	]
+});